@@ -0,0 +1,39 @@
+/**
+ * Express Kullanım Örneği
+ *
+ * 1. inmapper-auth-server.js dosyasını projenize kopyalayın (Node 18+)
+ * 2. Tarayıcı tarafında istekleri auth.fetch() ile gönderin
+ * 3. API'nizde token'ı middleware ile doğrulayın
+ *
+ * Üretim API'si olmadan denemek için önce `node stand-in-api.js` çalıştırın;
+ * INMAPPER_API_URL verilmezse örnek bu taklide bağlanır ve `demo-token` /
+ * `no-access-token` ile istek atılabilir:
+ *   curl -H "Authorization: Bearer demo-token" http://localhost:4000/api/maps
+ */
+
+import express from 'express';
+import { createInmapperServer } from './inmapper-auth-server.js';
+
+const app = express();
+const inmapper = createInmapperServer({
+  // Üretimde: https://inmapper-otp-api.isohtel.com.tr/api
+  apiUrl: process.env.INMAPPER_API_URL || 'http://127.0.0.1:4100/api',
+  cacheTtl: 30000, // Aynı token 30 sn boyunca tekrar doğrulanmaz
+});
+
+// Herkese açık uç nokta - giriş yapmışsa req.user dolu gelir
+app.get('/api/public', inmapper.middleware({ optional: true }), (req, res) => {
+  res.json({ user: req.user });
+});
+
+// Giriş zorunlu - token yoksa veya geçersizse 401
+app.get('/api/me', inmapper.middleware(), (req, res) => {
+  res.json(req.user);
+});
+
+// Kaynak yetkisi zorunlu - yetki yoksa 403
+app.get('/api/maps', inmapper.requireResource('harita-editoru'), (req, res) => {
+  res.json({ maps: [], owner: req.user.email });
+});
+
+app.listen(4000);
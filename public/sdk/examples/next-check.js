@@ -0,0 +1,81 @@
+/**
+ * Next.js Middleware Kontrolü
+ *
+ * inmapper-auth-next.js'in middleware'ini stand-in-api.js'e karşı çalıştırır;
+ * Next.js'e veya üretim API'sine ihtiyaç duymaz. /sdk klasöründe (derlenmiş
+ * dosyaların yanında) çalıştırın:
+ *
+ *   node examples/next-check.js
+ *
+ * Login yönlendirmesini, dönüş kodunun sunucuda token'a çevrilmesini ve
+ * state cookie'si olmayan ?code=...&state=... isteklerinin korumayı
+ * aşamadığını kontrol eder; bir beklenti tutmazsa hata ile çıkar.
+ */
+
+import assert from 'node:assert/strict';
+import { createInmapperNext } from '../inmapper-auth-next.js';
+import { startStandInApi } from './stand-in-api.js';
+
+const LOGIN_URL = 'https://login.test/login';
+const PAGE = 'https://app.test/dashboard';
+
+const api = await startStandInApi(0);
+const inmapper = createInmapperNext({ apiUrl: api.apiUrl, loginUrl: LOGIN_URL, cacheTtl: 0 });
+const middleware = inmapper.middleware({ resourceId: 'harita-editoru' });
+
+// Next.js'in middleware'e verdiği isteğin yerine
+function visit(url, cookies = {}) {
+  const cookie = Object.entries(cookies).map(([key, value]) => `${key}=${value}`).join('; ');
+  return middleware(new Request(url, { headers: cookie ? { cookie } : {} }));
+}
+
+function loginCallback(response) {
+  assert.equal(response?.status, 307, 'login\'e yönlendirilir');
+  const location = new URL(response.headers.get('location'));
+  assert.equal(location.origin + location.pathname, LOGIN_URL);
+  return new URL(location.searchParams.get('callback'));
+}
+
+const setCookies = response => response.headers.getSetCookie();
+
+try {
+  let response = await visit(PAGE);
+  assert.equal(loginCallback(response).href, PAGE, 'giriş yapmamış ziyaretçi login\'e gider');
+  const state = new URL(response.headers.get('location')).searchParams.get('state');
+  assert.ok(setCookies(response).some(c => c.startsWith(`inmapper_auth_state=${state};`)), 'state cookie\'ye yazılır');
+
+  response = await visit(`${PAGE}?tab=2&code=demo-code&state=${state}`, { inmapper_auth_state: state });
+  assert.equal(response.status, 307);
+  assert.equal(response.headers.get('location'), `${PAGE}?tab=2`, 'kod URL\'den temizlenir');
+  assert.ok(setCookies(response).some(c => c.startsWith('inmapper_auth_token=demo-token;')), 'kod token\'a çevrilir');
+  const exchange = api.requests.find(body => body.endpoint === '/auth/token');
+  assert.equal(exchange.callbackUrl, PAGE, 'kod sorgusuz adresle (origin + path) çevrilir');
+
+  response = await visit(`${PAGE}?code=demo-code&state=baska`, { inmapper_auth_state: state });
+  assert.equal(loginCallback(response).href, PAGE, 'state tutmazsa login\'e gider');
+
+  // State cookie'si yoksa kod tarayıcıda başlatılmış bir girişe ait olabilir;
+  // yine de sayfa yalnızca geçerli bir oturumla açılır
+  response = await visit(`${PAGE}?code=x&state=y`);
+  assert.equal(loginCallback(response).href, PAGE, 'sahte kod korumayı aşamaz');
+
+  response = await visit(`${PAGE}?code=x&state=y`, { inmapper_auth_token: 'yanlis-token' });
+  assert.equal(loginCallback(response).href, PAGE, 'geçersiz token ile sahte kod korumayı aşamaz');
+
+  response = await visit(`${PAGE}?code=x&state=y`, { inmapper_auth_token: 'demo-token' });
+  assert.equal(response, undefined, 'geçerli oturumda kod SDK\'ya bırakılır');
+
+  response = await visit(PAGE, { inmapper_auth_token: 'demo-token' });
+  assert.equal(response, undefined, 'yetkili kullanıcı sayfayı görür');
+
+  response = await visit(PAGE, { inmapper_auth_token: 'no-access-token' });
+  assert.equal(response.status, 403, 'yetkisiz kullanıcıya 403');
+
+  await api.close();
+  response = await visit(PAGE, { inmapper_auth_token: 'demo-token' });
+  assert.equal(response.status, 503, 'API kapalıyken 503');
+
+  console.log('✓ Tüm kontroller geçti');
+} finally {
+  await api.close().catch(() => {});
+}
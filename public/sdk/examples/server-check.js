@@ -0,0 +1,122 @@
+/**
+ * Node Middleware Kontrolü
+ *
+ * inmapper-auth-server.js'i stand-in-api.js'e karşı çalıştırır; üretim API'sine
+ * ihtiyaç duymaz. /sdk klasöründe (derlenmiş dosyaların yanında) çalıştırın:
+ *
+ *   node examples/server-check.js
+ *
+ * 401 / 403 / 503 yanıtlarını, req.user'ı ve önbelleği kontrol eder; bir
+ * beklenti tutmazsa hata ile çıkar. Tümü için: npm run check:server
+ */
+
+import http from 'node:http';
+import assert from 'node:assert/strict';
+import { createInmapperServer } from '../inmapper-auth-server.js';
+import { startStandInApi } from './stand-in-api.js';
+
+// Express yerine: middleware zincirini sırayla çalıştıran küçük bir sunucu
+function startApp(routes) {
+  const server = http.createServer((req, res) => {
+    const handlers = routes[req.url];
+    if (!handlers) {
+      res.statusCode = 404;
+      res.end();
+      return;
+    }
+
+    const run = (index) => {
+      if (index < handlers.length) {
+        handlers[index](req, res, () => run(index + 1));
+      }
+    };
+    run(0);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((done) => {
+          server.close(done);
+          server.closeIdleConnections?.();
+        }),
+      });
+    });
+  });
+}
+
+const sendUser = (req, res) => {
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify({ user: req.user }));
+};
+
+const api = await startStandInApi(0);
+const inmapper = createInmapperServer({ apiUrl: api.apiUrl, cacheTtl: 30000 });
+const app = await startApp({
+  '/public': [inmapper.middleware({ optional: true }), sendUser],
+  '/me': [inmapper.middleware(), sendUser],
+  '/maps': [inmapper.requireResource('harita-editoru'), sendUser],
+});
+
+async function get(path, token = null) {
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  const response = await fetch(`${app.url}${path}`, { headers });
+  return { status: response.status, body: await response.json() };
+}
+
+try {
+  let result = await get('/public');
+  assert.equal(result.status, 200);
+  assert.equal(result.body.user, null);
+
+  result = await get('/me');
+  assert.equal(result.status, 401, 'token olmadan 401');
+
+  result = await get('/me', 'yanlis-token');
+  assert.equal(result.status, 401, 'geçersiz token ile 401');
+
+  result = await get('/me', 'demo-token');
+  assert.equal(result.status, 200);
+  assert.equal(result.body.user.email, 'demo@inmapper.com', 'req.user dolu');
+
+  result = await get('/maps', 'demo-token');
+  assert.equal(result.status, 200, 'yetkili kullanıcı kaynağa erişir');
+
+  result = await get('/maps', 'no-access-token');
+  assert.equal(result.status, 403, 'yetkisiz kullanıcıya 403');
+
+  const before = api.requests.length;
+  await get('/me', 'demo-token');
+  await get('/maps', 'demo-token');
+  assert.equal(api.requests.length, before, 'tekrar eden doğrulamalar önbellekten gelir');
+
+  // JSON olmayan bir 4xx (ör. proxy hata sayfası) kesinti değil, geçersiz token sayılır
+  const proxy = http.createServer((req, res) => {
+    res.statusCode = 404;
+    res.setHeader('Content-Type', 'text/html');
+    res.end('<h1>Not Found</h1>');
+  });
+  await new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve));
+  try {
+    const behindProxy = createInmapperServer({ apiUrl: `http://127.0.0.1:${proxy.address().port}/api` });
+    const proxied = await behindProxy.verify('demo-token');
+    assert.equal(proxied.valid, false, 'JSON olmayan 4xx geçersiz token sayılır');
+  } finally {
+    await new Promise(resolve => {
+      proxy.close(resolve);
+      proxy.closeIdleConnections?.();
+    });
+  }
+
+  // API kapalıyken geçersiz token sayılmaz
+  await api.close();
+  inmapper.clearCache();
+  result = await get('/me', 'demo-token');
+  assert.equal(result.status, 503, 'API kapalıyken 503');
+
+  console.log('✓ Tüm kontroller geçti');
+} finally {
+  await app.close();
+  await api.close().catch(() => {});
+}
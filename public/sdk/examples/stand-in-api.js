@@ -0,0 +1,118 @@
+/**
+ * Yerel Auth API Taklidi
+ *
+ * inmapper-auth-server.js'i gerçek API olmadan denemek için /auth/validate ve
+ * /auth/token uç noktalarını sabit değerlerle yanıtlayan küçük bir sunucu
+ * (yalnızca Node).
+ *
+ *   node stand-in-api.js                  # http://localhost:4100/api
+ *
+ * Token'lar:
+ *   demo-token       geçerli, 'harita-editoru' kaynağına yetkili
+ *   no-access-token  geçerli, hiçbir kaynağa yetkisi yok
+ *   diğerleri        geçersiz
+ *
+ * Kodlar (/auth/token):
+ *   demo-code        demo-token'a çevrilir
+ */
+
+import http from 'node:http';
+import { fileURLToPath } from 'node:url';
+
+export const STAND_IN_TOKENS = {
+  'demo-token': {
+    user: { id: 'demo', email: 'demo@inmapper.com', name: 'Demo Kullanıcı' },
+    resources: ['harita-editoru'],
+  },
+  'no-access-token': {
+    user: { id: 'misafir', email: 'misafir@inmapper.com', name: 'Misafir' },
+    resources: [],
+  },
+};
+
+export const STAND_IN_CODES = {
+  'demo-code': 'demo-token',
+};
+
+function readJson(req) {
+  return new Promise((resolve) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(raw || '{}'));
+      } catch (error) {
+        resolve({});
+      }
+    });
+  });
+}
+
+/**
+ * Taklit API'yi başlatır
+ * @param {number} port - 0 verilirse boş bir port seçilir
+ * @returns {Promise<{ apiUrl: string, requests: Array<Object>, close: Function }>}
+ *   requests, gelen her isteğin gövdesini uç noktasıyla ({ endpoint, ... }) tutar
+ */
+export function startStandInApi(port = 4100) {
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+
+    if (req.method !== 'POST' || !['/api/auth/validate', '/api/auth/token'].includes(req.url)) {
+      res.statusCode = 404;
+      res.end(JSON.stringify({ error: 'Not found' }));
+      return;
+    }
+
+    const body = await readJson(req);
+    requests.push({ endpoint: req.url.slice(4), ...body });
+
+    if (req.url === '/api/auth/token') {
+      const token = STAND_IN_CODES[body.code];
+      if (!token) {
+        res.statusCode = 400;
+        res.end(JSON.stringify({ error: 'Invalid code' }));
+        return;
+      }
+      res.end(JSON.stringify({ token, user: STAND_IN_TOKENS[token].user, expiresIn: 3600 }));
+      return;
+    }
+
+    const session = STAND_IN_TOKENS[body.token];
+    if (!session) {
+      res.statusCode = 401;
+      res.end(JSON.stringify({ valid: false, error: 'Invalid token' }));
+      return;
+    }
+
+    const data = { valid: true, user: session.user };
+    if (body.resource) {
+      data.hasResourceAccess = session.resources.includes(body.resource);
+    }
+    res.end(JSON.stringify(data));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        apiUrl: `http://127.0.0.1:${server.address().port}/api`,
+        requests,
+        close: () => new Promise((done) => {
+          server.close(done);
+          server.closeIdleConnections?.();
+        }),
+      });
+    });
+  });
+}
+
+// Doğrudan çalıştırıldığında sunucuyu açık tutar
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  startStandInApi().then(({ apiUrl }) => {
+    console.log(`Auth API taklidi: ${apiUrl}`);
+  });
+}
@@ -0,0 +1,132 @@
+// Builds the distributable SDK from src/sdk into dist/sdk:
+//   inmapper-auth.js              UMD bundle for <script> tags and require()
+//   inmapper-auth.esm.js          ES module
+//   react/useInmapperAuth.js      React provider, imports ../inmapper-auth.esm.js
+//   vue/useInmapperAuth.js        Vue 3 plugin and router guard, same import
+//   inmapper-auth-server.js       Node middleware for verifying tokens on APIs
+//   inmapper-auth-next.js         Next.js middleware and server-component helpers
+//   inmapper-auth-elements.js     <inmapper-protect> and <inmapper-user>, imports ./inmapper-auth.esm.js
+//   inmapper-auth-sw.js           Service worker that adds the token to matching requests
+//   *.d.ts                        Type declarations, copied from src/sdk/types
+// Runs after the app build so the files are served next to the login app.
+
+import { build } from 'vite'
+import { cp } from 'node:fs/promises'
+import { fileURLToPath } from 'node:url'
+import path from 'node:path'
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..')
+const sdkDir = path.join(root, 'src/sdk')
+const outDir = path.join(root, 'dist/sdk')
+const coreEntry = path.join(sdkDir, 'index.js')
+
+const baseConfig = {
+  configFile: false,
+  root,
+  publicDir: false,
+  logLevel: 'warn',
+}
+
+function buildLibrary({ entry, fileName, format, name, outSubDir = '', plugins = [], rollupOptions = {} }) {
+  return build({
+    ...baseConfig,
+    plugins,
+    build: {
+      target: 'es2020',
+      outDir: path.join(outDir, outSubDir),
+      emptyOutDir: false,
+      minify: false,
+      lib: {
+        entry: path.join(sdkDir, entry),
+        name,
+        formats: [format],
+        fileName: () => fileName,
+      },
+      rollupOptions,
+    },
+  })
+}
+
+// Framework entries share the core with the ESM build instead of bundling a copy
+function externalCore(corePath = '../inmapper-auth.esm.js') {
+  return {
+    name: 'inmapper-external-core',
+    enforce: 'pre',
+    async resolveId(source, importer) {
+      if (!importer) return null
+      const resolved = await this.resolve(source, importer, { skipSelf: true })
+      if (resolved && resolved.id === coreEntry) {
+        return { id: corePath, external: 'relative' }
+      }
+      return null
+    },
+  }
+}
+
+await buildLibrary({
+  entry: 'umd.js',
+  fileName: 'inmapper-auth.js',
+  format: 'umd',
+  name: 'InmapperAuth',
+  rollupOptions: { output: { exports: 'default' } },
+})
+
+await buildLibrary({
+  entry: 'index.js',
+  fileName: 'inmapper-auth.esm.js',
+  format: 'es',
+})
+
+await buildLibrary({
+  entry: 'react/useInmapperAuth.js',
+  fileName: 'useInmapperAuth.js',
+  format: 'es',
+  outSubDir: 'react',
+  plugins: [externalCore()],
+  rollupOptions: {
+    external: ['react'],
+    // Rollup drops module-level directives; Next.js needs this one on hook modules
+    output: { banner: "'use client';" },
+  },
+})
+
+await buildLibrary({
+  entry: 'vue/useInmapperAuth.js',
+  fileName: 'useInmapperAuth.js',
+  format: 'es',
+  outSubDir: 'vue',
+  plugins: [externalCore()],
+  rollupOptions: { external: ['vue'] },
+})
+
+await buildLibrary({
+  entry: 'server.js',
+  fileName: 'inmapper-auth-server.js',
+  format: 'es',
+})
+
+await buildLibrary({
+  entry: 'next.js',
+  fileName: 'inmapper-auth-next.js',
+  format: 'es',
+})
+
+await buildLibrary({
+  entry: 'elements.js',
+  fileName: 'inmapper-auth-elements.js',
+  format: 'es',
+  plugins: [externalCore('./inmapper-auth.esm.js')],
+})
+
+// Self-contained and wrapped so importScripts() leaves the site's worker globals alone
+await buildLibrary({
+  entry: 'sw.js',
+  fileName: 'inmapper-auth-sw.js',
+  format: 'iife',
+  name: 'InmapperAuthWorker',
+})
+
+// Declarations are hand-written and already laid out like dist/sdk
+await cp(path.join(sdkDir, 'types'), outDir, { recursive: true })
+
+console.log('SDK built to dist/sdk')
@@ -6,76 +6,165 @@ import VerifyOTP from './pages/VerifyOTP'
 import Success from './pages/Success'
 import Dashboard from './pages/Dashboard'
 import Admin from './pages/Admin'
+import SilentAuth from './pages/SilentAuth'
+import CallbackError from './pages/CallbackError'
+import { AuthProvider, RequireAuth, RequireAdmin, LoadingScreen } from './AuthContext'
+import { loadLoginFlow, saveLoginFlow, clearLoginFlow } from './loginFlow'
+import { validateCallbackUrl, lookupCallbackApp } from './callbackUrl'
+
+// Callback URL in the query params, sent by the SDK's login()
+function readCallbackParams() {
+  const params = new URLSearchParams(window.location.search)
+  const callback = params.get('callback') || params.get('redirect')
+  if (!callback) return null
+  return {
+    callbackUrl: callback,
+    callbackState: params.get('state'),
+    // Opened by the SDK's loginWithPopup(); post the result to the opener
+    popup: params.get('mode') === 'popup' && !!window.opener,
+  }
+}
 
 function App() {
-  const [authState, setAuthState] = useState({
+  // An unfinished verification survives a reload of /verify
+  const [authState, setAuthState] = useState(() => ({
     email: null,
     pendingVerification: false,
     callbackUrl: null,
-  })
+    callbackState: null,
+    popup: false,
+    returnTo: null, // Page a route guard sent the user away from
+    ...loadLoginFlow(),
+    ...readCallbackParams(),
+  }))
+
+  useEffect(() => {
+    if (authState.pendingVerification) {
+      saveLoginFlow(authState)
+    } else {
+      clearLoginFlow()
+    }
+  }, [authState])
+
+  // Login pages wait for this; a malformed or unknown callback shows an error instead
+  const [callbackCheck, setCallbackCheck] = useState(() => (
+    authState.callbackUrl ? { status: 'checking' } : null
+  ))
 
-  // Check for callback URL in query params
   useEffect(() => {
-    const params = new URLSearchParams(window.location.search)
-    const callback = params.get('callback') || params.get('redirect')
-    if (callback) {
-      setAuthState(prev => ({ ...prev, callbackUrl: callback }))
+    if (!authState.callbackUrl) {
+      setCallbackCheck(null)
+      return
+    }
+
+    let active = true
+    setCallbackCheck({ status: 'checking' })
+    validateCallbackUrl(authState.callbackUrl).then((result) => {
+      if (!active) return
+      setCallbackCheck(result)
+
+      // Configured sites show right away; their registered name follows if there is one
+      if (result.status === 'valid' && !result.registered) {
+        lookupCallbackApp(result.url).then((app) => {
+          if (active && app) setCallbackCheck(prev => ({ ...prev, app }))
+        })
+      }
+    })
+    return () => {
+      active = false
+    }
+  }, [authState.callbackUrl])
+
+  const dismissCallback = () => {
+    setAuthState(prev => ({
+      ...prev,
+      pendingVerification: false,
+      callbackUrl: null,
+      callbackState: null,
+      popup: false,
+    }))
+    setCallbackCheck(null)
+  }
+
+  // Name, logo and origin of the site that asked for the sign-in
+  const callbackApp = callbackCheck?.status === 'valid' ? callbackCheck.app : null
+
+  const withCallbackCheck = (page) => {
+    if (callbackCheck?.status === 'checking') return <LoadingScreen />
+    if (callbackCheck?.status === 'error') {
+      return (
+        <CallbackError
+          reason={callbackCheck.reason}
+          origin={callbackCheck.origin}
+          onDismiss={dismissCallback}
+        />
+      )
     }
-  }, [])
+    return page
+  }
 
   return (
     <BrowserRouter>
-      <div className="bg-pattern" />
-      <div className="bg-grid" />
-      <Routes>
-        <Route 
-          path="/" 
-          element={<Navigate to="/login" replace />} 
-        />
-        <Route 
-          path="/login" 
-          element={
-            <Login 
-              authState={authState} 
-              setAuthState={setAuthState} 
-            />
-          } 
-        />
-        <Route 
-          path="/register" 
-          element={
-            <Register 
-              authState={authState} 
-              setAuthState={setAuthState} 
-            />
-          } 
-        />
-        <Route 
-          path="/verify" 
-          element={
-            authState.pendingVerification ? (
-              <VerifyOTP 
+      <AuthProvider>
+        <div className="bg-pattern" />
+        <div className="bg-grid" />
+        <Routes>
+          <Route 
+            path="/" 
+            element={<Navigate to="/login" replace />} 
+          />
+          <Route 
+            path="/login" 
+            element={withCallbackCheck(
+              <Login 
                 authState={authState} 
                 setAuthState={setAuthState} 
+                callbackApp={callbackApp}
               />
-            ) : (
-              <Navigate to="/login" replace />
-            )
-          } 
-        />
-        <Route 
-          path="/success" 
-          element={<Success authState={authState} />} 
-        />
-        <Route 
-          path="/dashboard" 
-          element={<Dashboard />} 
-        />
-        <Route 
-          path="/admin" 
-          element={<Admin />} 
-        />
-      </Routes>
+            )} 
+          />
+          <Route 
+            path="/register" 
+            element={withCallbackCheck(
+              <Register 
+                authState={authState} 
+                setAuthState={setAuthState} 
+                callbackApp={callbackApp}
+              />
+            )} 
+          />
+          <Route 
+            path="/verify" 
+            element={
+              authState.pendingVerification ? withCallbackCheck(
+                <VerifyOTP 
+                  authState={authState} 
+                  setAuthState={setAuthState} 
+                  callbackApp={callbackApp}
+                />
+              ) : (
+                <Navigate to={{ pathname: '/login', search: window.location.search }} replace />
+              )
+            } 
+          />
+          <Route 
+            path="/success" 
+            element={<RequireAuth><Success /></RequireAuth>} 
+          />
+          <Route 
+            path="/dashboard" 
+            element={<RequireAuth><Dashboard /></RequireAuth>} 
+          />
+          <Route 
+            path="/admin" 
+            element={<RequireAdmin><Admin /></RequireAdmin>} 
+          />
+          <Route 
+            path="/silent-auth" 
+            element={<SilentAuth />} 
+          />
+        </Routes>
+      </AuthProvider>
     </BrowserRouter>
   )
 }
@@ -0,0 +1,86 @@
+import { createContext, useContext, useEffect, useState } from 'react'
+import { Navigate, useLocation } from 'react-router-dom'
+import session, { getUser, logout as endSession } from './session'
+
+const AuthContext = createContext(null)
+
+// Validates the session once for the whole app and follows later changes
+// (OTP sign-in, logout, other tabs), so pages only read the result
+export function AuthProvider({ children }) {
+  const [user, setUser] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    let active = true
+
+    const unsubscribe = session.onChange((change) => {
+      setUser(change.user)
+    })
+
+    getUser(true).then((currentUser) => {
+      if (!active) return
+      setUser(currentUser)
+      setLoading(false)
+    })
+
+    return () => {
+      active = false
+      unsubscribe()
+    }
+  }, [])
+
+  const logout = async () => {
+    await endSession()
+    setUser(null)
+  }
+
+  return (
+    <AuthContext.Provider value={{ user, loading, logout }}>
+      {children}
+    </AuthContext.Provider>
+  )
+}
+
+export function useAuth() {
+  const context = useContext(AuthContext)
+  if (!context) {
+    throw new Error('useAuth must be used within AuthProvider')
+  }
+  return context
+}
+
+export function LoadingScreen() {
+  return (
+    <div className="auth-layout">
+      <div className="spinner" style={{ width: 40, height: 40 }} />
+    </div>
+  )
+}
+
+// Sends signed-out users to /login; the page they asked for is passed along
+// so the login flow can return them to it
+export function RequireAuth({ children }) {
+  const { user, loading } = useAuth()
+  const location = useLocation()
+
+  if (loading) return <LoadingScreen />
+
+  if (!user) {
+    const from = location.pathname + location.search + location.hash
+    return <Navigate to="/login" replace state={{ from }} />
+  }
+
+  return children
+}
+
+export function RequireAdmin({ children }) {
+  const { user } = useAuth()
+
+  return (
+    <RequireAuth>
+      {user?.isAdmin ? children : <Navigate to="/dashboard" replace />}
+    </RequireAuth>
+  )
+}
+
+export default AuthContext
@@ -60,6 +60,22 @@ class AuthAPI {
     });
   }
 
+  async createAuthCode(token, callbackUrl) {
+    return this.request('/auth/code', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ callbackUrl }),
+    });
+  }
+
+  // Public view of the resources managed on the admin page ({ id, name, url }),
+  // the applications allowed to receive a sign-in
+  async getClients(timeout = null) {
+    return this.request('/auth/clients', timeout ? { signal: AbortSignal.timeout(timeout) } : {});
+  }
+
   async resendOTP(email) {
     return this.request('/auth/resend', {
       method: 'POST',
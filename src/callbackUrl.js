@@ -0,0 +1,120 @@
+// Checks the callback a site sends users back to after login before the
+// login pages use it. Only absolute http(s) URLs of known sites pass; the
+// backend checks the callback again when it issues the code. The resources
+// managed on the admin page are the registered applications; the one whose
+// URL shares the callback's origin gives the pages a name to show.
+
+import authApi from './api/authApi'
+
+// Sites accepted without asking the API, e.g. https://site1.com,https://site2.com
+const ALLOWED_ORIGINS = (import.meta.env.VITE_ALLOWED_CALLBACK_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean)
+
+// A hanging API must not leave the login page spinning
+const LOOKUP_TIMEOUT = 5000
+
+let resourcesPromise = null
+
+/**
+ * Parse a callback value, rejecting anything that is not an absolute http(s) URL
+ * Relative and scheme-relative values (/path, //evil.com, /\evil.com) would
+ * resolve against this site, so they are refused rather than resolved.
+ * @param {string} value
+ * @returns {URL|null}
+ */
+export function parseCallbackUrl(value) {
+  if (typeof value !== 'string' || !/^https?:\/\//i.test(value.trim())) {
+    return null
+  }
+
+  let url
+  try {
+    url = new URL(value.trim())
+  } catch (error) {
+    return null
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return null
+  // https://site1.com@evil.com reads like site1.com
+  if (url.username || url.password) return null
+  return url
+}
+
+// Admin-managed resources ({ id, name, url }), fetched once per page load
+function getResources() {
+  if (!resourcesPromise) {
+    resourcesPromise = authApi.getClients(LOOKUP_TIMEOUT)
+      .then(data => data.clients || [])
+      .catch((error) => {
+        resourcesPromise = null
+        throw error
+      })
+  }
+  return resourcesPromise
+}
+
+function findResource(resources, origin) {
+  return resources.find((resource) => {
+    try {
+      return new URL(resource.url).origin === origin
+    } catch (error) {
+      return false
+    }
+  }) || null
+}
+
+// What the login pages show about the site that will receive the sign-in.
+// The logo is the site's own favicon, so it needs no extra admin field.
+function describeApp(url, resource) {
+  return {
+    id: resource?.id || null,
+    name: resource?.name || url.host,
+    logoUrl: `${url.origin}/favicon.ico`,
+    origin: url.origin,
+  }
+}
+
+/**
+ * Check a callback against the configured origins and the registered applications
+ * Configured origins pass without waiting for the API; see lookupCallbackApp().
+ * @param {string} value - The callback or redirect query value
+ * @returns {Promise<Object>} { status: 'valid', url, app, registered } or
+ *   { status: 'error', reason: 'invalid' | 'not_allowed' | 'unavailable', origin }
+ */
+export async function validateCallbackUrl(value) {
+  const url = parseCallbackUrl(value)
+  if (!url) {
+    return { status: 'error', reason: 'invalid', origin: null }
+  }
+
+  if (ALLOWED_ORIGINS.includes(url.origin)) {
+    return { status: 'valid', url, app: describeApp(url, null), registered: false }
+  }
+
+  try {
+    const resource = findResource(await getResources(), url.origin)
+    if (resource) {
+      return { status: 'valid', url, app: describeApp(url, resource), registered: true }
+    }
+    return { status: 'error', reason: 'not_allowed', origin: url.origin }
+  } catch (error) {
+    console.error('Callback check error:', error)
+    return { status: 'error', reason: 'unavailable', origin: url.origin }
+  }
+}
+
+/**
+ * Registered name of a configured origin, looked up after the page is shown
+ * @param {URL} url - A callback validateCallbackUrl() accepted
+ * @returns {Promise<Object|null>} App description, or null when unknown or unreachable
+ */
+export async function lookupCallbackApp(url) {
+  try {
+    const resource = findResource(await getResources(), url.origin)
+    return resource ? describeApp(url, resource) : null
+  } catch (error) {
+    return null
+  }
+}
@@ -0,0 +1,31 @@
+import { useState } from 'react'
+
+// The application that will receive the sign-in. The origin shown is the
+// callback's own, so a look-alike link cannot borrow a registered app's URL.
+function ClientCard({ app, caption }) {
+  const [logoFailed, setLogoFailed] = useState(false)
+
+  return (
+    <div className="client-card">
+      {app.logoUrl && !logoFailed ? (
+        <img
+          className="client-logo"
+          src={app.logoUrl}
+          alt=""
+          onError={() => setLogoFailed(true)}
+        />
+      ) : (
+        <div className="client-logo client-logo-fallback">
+          {app.name.charAt(0).toUpperCase()}
+        </div>
+      )}
+      <div className="client-info">
+        {caption && <div className="client-caption">{caption}</div>}
+        <div className="client-name">{app.name}</div>
+        <div className="client-url">{app.origin}</div>
+      </div>
+    </div>
+  )
+}
+
+export default ClientCard
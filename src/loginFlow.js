@@ -0,0 +1,40 @@
+// Pending login state (email, callback, ...) kept in sessionStorage so that
+// reloading /verify, or leaving to read the code and coming back, does not
+// send the user back to /login
+
+import { createWebStorage } from './sdk/storage.js'
+
+const STORAGE_KEY = 'inmapper_login_flow'
+// Matches the lifetime of an OTP code
+const MAX_AGE = 10 * 60 * 1000
+
+const storage = createWebStorage('sessionStorage')
+
+/**
+ * Saved state of an unfinished verification, or null when there is none or it expired
+ * @returns {Object|null}
+ */
+export function loadLoginFlow() {
+  try {
+    const saved = JSON.parse(storage.getItem(STORAGE_KEY))
+    if (saved && Date.now() - saved.savedAt < MAX_AGE) {
+      return saved.state
+    }
+  } catch (error) {
+    // Unreadable entry - start over
+  }
+  storage.removeItem(STORAGE_KEY)
+  return null
+}
+
+export function saveLoginFlow(state) {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify({ state, savedAt: Date.now() }))
+  } catch (error) {
+    console.error('Login flow save error:', error)
+  }
+}
+
+export function clearLoginFlow() {
+  storage.removeItem(STORAGE_KEY)
+}
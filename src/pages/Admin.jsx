@@ -1,12 +1,12 @@
 import { useEffect, useState } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { motion, AnimatePresence } from 'framer-motion'
-
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api'
+import session from '../session'
+import { useAuth } from '../AuthContext'
 
 function Admin() {
   const navigate = useNavigate()
-  const [user, setUser] = useState(null)
+  const { user, logout } = useAuth()
   const [users, setUsers] = useState([])
   const [resources, setResources] = useState([])
   const [loading, setLoading] = useState(true)
@@ -14,46 +14,18 @@ function Admin() {
   const [saving, setSaving] = useState(false)
   const [message, setMessage] = useState(null)
 
-  const token = localStorage.getItem('auth_token')
-
   useEffect(() => {
-    checkAdminAccess()
+    loadData()
   }, [])
 
-  const checkAdminAccess = async () => {
-    if (!token) {
-      navigate('/login')
-      return
-    }
-
-    try {
-      const res = await fetch(`${API_URL}/auth/validate`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ token })
-      })
-      const data = await res.json()
-
-      if (!data.valid || !data.user.isAdmin) {
-        navigate('/dashboard')
-        return
-      }
-
-      setUser(data.user)
-      await Promise.all([fetchUsers(), fetchResources()])
-    } catch (error) {
-      console.error('Auth error:', error)
-      navigate('/login')
-    } finally {
-      setLoading(false)
-    }
+  const loadData = async () => {
+    await Promise.all([fetchUsers(), fetchResources()])
+    setLoading(false)
   }
 
   const fetchUsers = async () => {
     try {
-      const res = await fetch(`${API_URL}/admin/users`, {
-        headers: { 'Authorization': `Bearer ${token}` }
-      })
+      const res = await session.fetch('/admin/users')
       const data = await res.json()
       setUsers(data.users || [])
     } catch (error) {
@@ -63,9 +35,7 @@ function Admin() {
 
   const fetchResources = async () => {
     try {
-      const res = await fetch(`${API_URL}/admin/resources`, {
-        headers: { 'Authorization': `Bearer ${token}` }
-      })
+      const res = await session.fetch('/admin/resources')
       const data = await res.json()
       setResources(data.resources || [])
     } catch (error) {
@@ -86,16 +56,12 @@ function Admin() {
     setSaving(true)
     try {
       const endpoint = hasPermission ? '/admin/permissions/revoke' : '/admin/permissions/grant'
-      await fetch(`${API_URL}${endpoint}`, {
+      await session.fetch(endpoint, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify({
+        json: {
           userId: selectedUser.id,
           resource: resource.id
-        })
+        }
       })
 
       // Refresh user data
@@ -103,9 +69,7 @@ function Admin() {
       const updatedUser = users.find(u => u.id === selectedUser.id)
       if (updatedUser) {
         // Refetch to get updated permissions
-        const res = await fetch(`${API_URL}/admin/users/${selectedUser.id}`, {
-          headers: { 'Authorization': `Bearer ${token}` }
-        })
+        const res = await session.fetch(`/admin/users/${selectedUser.id}`)
         const data = await res.json()
         setSelectedUser(data.user)
       }
@@ -125,13 +89,9 @@ function Admin() {
   const handleAdminToggle = async (userId, currentIsAdmin) => {
     setSaving(true)
     try {
-      await fetch(`${API_URL}/admin/users/${userId}`, {
+      await session.fetch(`/admin/users/${userId}`, {
         method: 'PATCH',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify({ isAdmin: !currentIsAdmin })
+        json: { isAdmin: !currentIsAdmin }
       })
       await fetchUsers()
       if (selectedUser?.id === userId) {
@@ -151,13 +111,9 @@ function Admin() {
   const handleActiveToggle = async (userId, currentIsActive) => {
     setSaving(true)
     try {
-      await fetch(`${API_URL}/admin/users/${userId}`, {
+      await session.fetch(`/admin/users/${userId}`, {
         method: 'PATCH',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify({ isActive: !currentIsActive })
+        json: { isActive: !currentIsActive }
       })
       await fetchUsers()
       setMessage({ type: 'success', text: currentIsActive ? 'Kullanıcı devre dışı bırakıldı' : 'Kullanıcı aktifleştirildi' })
@@ -171,9 +127,8 @@ function Admin() {
     }
   }
 
-  const handleLogout = () => {
-    localStorage.removeItem('auth_token')
-    localStorage.removeItem('auth_user')
+  const handleLogout = async () => {
+    await logout()
     navigate('/login')
   }
 
@@ -0,0 +1,77 @@
+import { useNavigate } from 'react-router-dom'
+import { motion } from 'framer-motion'
+
+const MESSAGES = {
+  invalid: {
+    title: 'Geçersiz Yönlendirme Adresi',
+    description: 'Giriş sonrası dönülecek adres okunamadı veya güvenli değil. Lütfen geldiğiniz siteden tekrar deneyin.',
+  },
+  not_allowed: {
+    title: 'Tanınmayan Site',
+    description: 'Bu site Inmapper ile giriş için kayıtlı değil. Bağlantıya güvenmiyorsanız bu sayfayı kapatın.',
+  },
+  unavailable: {
+    title: 'Site Doğrulanamadı',
+    description: 'Yönlendirilecek site kontrol edilemedi. Bağlantınızı kontrol edip tekrar deneyin.',
+  },
+}
+
+// Shown instead of the login pages when the callback is malformed or
+// belongs to a site that is not registered
+function CallbackError({ reason, origin, onDismiss }) {
+  const navigate = useNavigate()
+  const text = MESSAGES[reason] || MESSAGES.invalid
+
+  const handleDismiss = () => {
+    onDismiss()
+    navigate('/login', { replace: true })
+  }
+
+  return (
+    <div className="auth-layout">
+      <motion.div
+        className="card"
+        initial={{ opacity: 0, y: 30 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5, ease: [0.16, 1, 0.3, 1] }}
+      >
+        <div className="logo">
+          <img src="/inmapper.png" alt="Inmapper" />
+        </div>
+
+        <div className="heading">
+          <h1>{text.title}</h1>
+          <p>{text.description}</p>
+        </div>
+
+        {origin && (
+          <div className="message message-error">
+            <span>⚠️</span>
+            <span style={{ wordBreak: 'break-all' }}>{origin}</span>
+          </div>
+        )}
+
+        <div style={{ display: 'flex', gap: '12px' }}>
+          {reason === 'unavailable' && (
+            <button
+              onClick={() => window.location.reload()}
+              className="btn btn-primary"
+              style={{ flex: 1 }}
+            >
+              Tekrar Dene
+            </button>
+          )}
+          <button
+            onClick={handleDismiss}
+            className="btn btn-secondary"
+            style={{ flex: 1 }}
+          >
+            Yönlendirme Olmadan Giriş Yap
+          </button>
+        </div>
+      </motion.div>
+    </div>
+  )
+}
+
+export default CallbackError
@@ -1,63 +1,37 @@
 import { useEffect, useState } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { motion } from 'framer-motion'
-import authApi from '../api/authApi'
+import session from '../session'
+import { useAuth } from '../AuthContext'
+import { parseCallbackUrl } from '../callbackUrl'
 
 function Dashboard() {
   const navigate = useNavigate()
-  const [user, setUser] = useState(null)
-  const [loading, setLoading] = useState(true)
+  const { user, logout } = useAuth()
+  const [apps, setApps] = useState(null)
 
+  // One request for every app the user can open; the list is hidden if it fails.
+  // A rejected token ends the session, and RequireAuth sends the user to /login.
+  // URLs are entered on the admin page; only absolute http(s) ones become links.
   useEffect(() => {
-    const checkAuth = async () => {
-      const token = localStorage.getItem('auth_token')
-      
-      if (!token) {
-        navigate('/login')
-        return
-      }
-
-      try {
-        const response = await authApi.validateToken(token)
-        if (response.valid) {
-          setUser(response.user)
-        } else {
-          throw new Error('Invalid token')
-        }
-      } catch (error) {
-        localStorage.removeItem('auth_token')
-        localStorage.removeItem('auth_user')
-        navigate('/login')
-      } finally {
-        setLoading(false)
-      }
+    let active = true
+    session.getAccessibleResources().then((resources) => {
+      if (!active || !resources) return
+      setApps(Object.values(resources).map(app => ({
+        ...app,
+        url: parseCallbackUrl(app.url)?.href || null,
+      })))
+    })
+    return () => {
+      active = false
     }
-
-    checkAuth()
-  }, [navigate])
+  }, [])
 
   const handleLogout = async () => {
-    const token = localStorage.getItem('auth_token')
-    
-    try {
-      await authApi.logout(token)
-    } catch (error) {
-      console.error('Logout error:', error)
-    }
-    
-    localStorage.removeItem('auth_token')
-    localStorage.removeItem('auth_user')
+    await logout()
     navigate('/login')
   }
 
-  if (loading) {
-    return (
-      <div className="auth-layout">
-        <div className="spinner" style={{ width: 40, height: 40 }} />
-      </div>
-    )
-  }
-
   if (!user) return null
 
   return (
@@ -206,6 +180,57 @@ function Dashboard() {
           </div>
         </motion.div>
 
+        {apps && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.35 }}
+            style={{ marginTop: '24px' }}
+          >
+            <h4 style={{ 
+              fontSize: '13px', 
+              fontWeight: 600, 
+              color: 'var(--text-secondary)',
+              marginBottom: '16px',
+              textTransform: 'uppercase',
+              letterSpacing: '0.5px'
+            }}>
+              Uygulamalarım
+            </h4>
+
+            {apps.length === 0 ? (
+              <p style={{ color: 'var(--text-muted)', fontSize: '14px' }}>
+                Henüz erişebildiğiniz bir uygulama yok.
+              </p>
+            ) : (
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+                {apps.map(app => (
+                  <a
+                    key={app.id}
+                    href={app.url || undefined}
+                    style={{
+                      display: 'block',
+                      padding: '14px 16px',
+                      background: 'var(--bg-input)',
+                      borderRadius: 'var(--radius-md)',
+                      border: '1px solid var(--border-subtle)',
+                      color: 'inherit',
+                      textDecoration: 'none'
+                    }}
+                  >
+                    <div style={{ fontSize: '14px', fontWeight: 600 }}>{app.name}</div>
+                    {app.description && (
+                      <div style={{ color: 'var(--text-muted)', fontSize: '13px', marginTop: '4px' }}>
+                        {app.description}
+                      </div>
+                    )}
+                  </a>
+                ))}
+              </div>
+            )}
+          </motion.div>
+        )}
+
         {user.isAdmin && (
           <motion.div
             initial={{ opacity: 0, y: 20 }}
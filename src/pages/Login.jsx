@@ -1,14 +1,24 @@
-import { useState } from 'react'
-import { Link, useNavigate } from 'react-router-dom'
+import { useState, useEffect } from 'react'
+import { Link, useNavigate, useLocation } from 'react-router-dom'
 import { motion } from 'framer-motion'
 import authApi from '../api/authApi'
+import ClientCard from '../components/ClientCard'
 
-function Login({ authState, setAuthState }) {
+function Login({ authState, setAuthState, callbackApp }) {
   const navigate = useNavigate()
+  const location = useLocation()
   const [email, setEmail] = useState('')
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
 
+  // Sent here by RequireAuth; go back to that page once verified
+  useEffect(() => {
+    const from = location.state?.from
+    if (from) {
+      setAuthState(prev => ({ ...prev, returnTo: from }))
+    }
+  }, [location.state, setAuthState])
+
   const handleSubmit = async (e) => {
     e.preventDefault()
     setError('')
@@ -23,7 +33,8 @@ function Login({ authState, setAuthState }) {
         pendingVerification: true,
       }))
       
-      navigate('/verify')
+      // Keep ?callback=... in the URL so a reload on /verify still knows it
+      navigate({ pathname: '/verify', search: location.search })
     } catch (err) {
       setError(err.message || err.error || 'Giriş başarısız')
     } finally {
@@ -48,6 +59,10 @@ function Login({ authState, setAuthState }) {
           <p>E-posta adresinizi girerek giriş yapın</p>
         </div>
 
+        {callbackApp && (
+          <ClientCard app={callbackApp} caption="Giriş yapılacak uygulama" />
+        )}
+
         {error && (
           <motion.div 
             className="message message-error"
@@ -98,24 +113,10 @@ function Login({ authState, setAuthState }) {
 
         <div className="auth-footer">
           Hesabınız yok mu?{' '}
-          <Link to="/register" className="link">
+          <Link to={{ pathname: '/register', search: location.search }} className="link">
             Kayıt Olun
           </Link>
         </div>
-
-        {authState.callbackUrl && (
-          <motion.div 
-            className="message message-info"
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-            style={{ marginTop: '20px', marginBottom: 0 }}
-          >
-            <span>ℹ️</span>
-            <span style={{ fontSize: '12px' }}>
-              Giriş sonrası yönlendirileceksiniz
-            </span>
-          </motion.div>
-        )}
       </motion.div>
     </div>
   )
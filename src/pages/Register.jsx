@@ -1,10 +1,12 @@
 import { useState } from 'react'
-import { Link, useNavigate } from 'react-router-dom'
+import { Link, useNavigate, useLocation } from 'react-router-dom'
 import { motion } from 'framer-motion'
 import authApi from '../api/authApi'
+import ClientCard from '../components/ClientCard'
 
-function Register({ authState, setAuthState }) {
+function Register({ authState, setAuthState, callbackApp }) {
   const navigate = useNavigate()
+  const location = useLocation()
   const [formData, setFormData] = useState({
     name: '',
     email: '',
@@ -33,7 +35,7 @@ function Register({ authState, setAuthState }) {
         pendingVerification: true,
       }))
       
-      navigate('/verify')
+      navigate({ pathname: '/verify', search: location.search })
     } catch (err) {
       if (err.error === 'User already exists') {
         setError('Bu e-posta adresi zaten kayıtlı. Giriş yapmayı deneyin.')
@@ -62,6 +64,10 @@ function Register({ authState, setAuthState }) {
           <p>Yeni hesap oluşturmak için bilgilerinizi girin</p>
         </div>
 
+        {callbackApp && (
+          <ClientCard app={callbackApp} caption="Giriş yapılacak uygulama" />
+        )}
+
         {error && (
           <motion.div 
             className="message message-error"
@@ -129,7 +135,7 @@ function Register({ authState, setAuthState }) {
 
         <div className="auth-footer">
           Zaten hesabınız var mı?{' '}
-          <Link to="/login" className="link">
+          <Link to={{ pathname: '/login', search: location.search }} className="link">
             Giriş Yapın
           </Link>
         </div>
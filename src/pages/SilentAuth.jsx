@@ -0,0 +1,81 @@
+import { useEffect } from 'react'
+import authApi from '../api/authApi'
+import { getToken } from '../session'
+import { SILENT_READY_TYPE, SILENT_REQUEST_TYPE, SILENT_RESULT_TYPE } from '../sdk/config.js'
+import { codeCallbackUrl } from '../sdk/callback.js'
+
+// Sites allowed to reuse the session, e.g. https://site1.com,https://site2.com
+const TRUSTED_ORIGINS = (import.meta.env.VITE_TRUSTED_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean)
+
+// Browsers give cross-site iframes partitioned storage, so this page only sees
+// the session when embedded by a site on the login app's own site
+async function isStoragePartitioned() {
+  if (!document.hasStorageAccess) return false
+  try {
+    return !(await document.hasStorageAccess())
+  } catch (error) {
+    return false
+  }
+}
+
+// Loaded by the SDK in a hidden iframe. Answers with a one-time code for the
+// current session so the embedding site can sign the user in without a redirect.
+function SilentAuth() {
+  useEffect(() => {
+    if (window.parent === window) return
+
+    const handleMessage = async (event) => {
+      if (event.source !== window.parent) return
+      const data = event.data || {}
+      if (data.type !== SILENT_REQUEST_TYPE) return
+
+      const reply = (result) => {
+        window.parent.postMessage(
+          { type: SILENT_RESULT_TYPE, state: data.state, ...result },
+          event.origin
+        )
+      }
+
+      if (!TRUSTED_ORIGINS.includes(event.origin)) {
+        reply({ error: 'origin_not_allowed' })
+        return
+      }
+
+      const token = await getToken()
+      if (!token) {
+        reply({ error: (await isStoragePartitioned()) ? 'storage_partitioned' : 'login_required' })
+        return
+      }
+
+      // The code may only be redeemed by the page that asked for it
+      let callbackUrl = codeCallbackUrl(event.origin)
+      try {
+        if (new URL(data.callbackUrl).origin === event.origin) {
+          callbackUrl = codeCallbackUrl(data.callbackUrl)
+        }
+      } catch (error) {
+        // Malformed callbackUrl - fall back to the origin
+      }
+
+      try {
+        const { code } = await authApi.createAuthCode(token, callbackUrl)
+        reply({ code })
+      } catch (error) {
+        reply({ error: 'login_required' })
+      }
+    }
+
+    window.addEventListener('message', handleMessage)
+    // Nothing sensitive here, the parent's origin is checked on the request
+    window.parent.postMessage({ type: SILENT_READY_TYPE }, '*')
+
+    return () => window.removeEventListener('message', handleMessage)
+  }, [])
+
+  return null
+}
+
+export default SilentAuth
@@ -1,34 +1,24 @@
 import { useEffect, useState } from 'react'
-import { useLocation, useNavigate } from 'react-router-dom'
+import { useNavigate } from 'react-router-dom'
 import { motion } from 'framer-motion'
+import { getToken } from '../session'
+import { useAuth } from '../AuthContext'
 
 function Success() {
-  const location = useLocation()
   const navigate = useNavigate()
-  const [user, setUser] = useState(null)
+  const { user, logout } = useAuth()
   const [token, setToken] = useState(null)
   const [copied, setCopied] = useState(false)
 
   useEffect(() => {
-    // Get user from state or localStorage
-    const stateUser = location.state?.user
-    const stateToken = location.state?.token
-    
-    if (stateUser && stateToken) {
-      setUser(stateUser)
-      setToken(stateToken)
-    } else {
-      const storedUser = localStorage.getItem('auth_user')
-      const storedToken = localStorage.getItem('auth_token')
-      
-      if (storedUser && storedToken) {
-        setUser(JSON.parse(storedUser))
-        setToken(storedToken)
-      } else {
-        navigate('/login')
-      }
+    let active = true
+    getToken().then((currentToken) => {
+      if (active) setToken(currentToken)
+    })
+    return () => {
+      active = false
     }
-  }, [location, navigate])
+  }, [])
 
   const handleCopyToken = () => {
     if (token) {
@@ -38,9 +28,8 @@ function Success() {
     }
   }
 
-  const handleLogout = () => {
-    localStorage.removeItem('auth_token')
-    localStorage.removeItem('auth_user')
+  const handleLogout = async () => {
+    await logout()
     navigate('/login')
   }
 
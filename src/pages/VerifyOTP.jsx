@@ -1,15 +1,24 @@
 import { useState, useRef, useEffect } from 'react'
-import { useNavigate } from 'react-router-dom'
+import { useNavigate, useLocation } from 'react-router-dom'
 import { motion } from 'framer-motion'
 import authApi from '../api/authApi'
+import { startSession } from '../session'
+import { clearLoginFlow } from '../loginFlow'
+import { parseCallbackUrl } from '../callbackUrl'
+import ClientCard from '../components/ClientCard'
+import { POPUP_MESSAGE_TYPE } from '../sdk/config.js'
+import { codeCallbackUrl } from '../sdk/callback.js'
 
-function VerifyOTP({ authState, setAuthState }) {
+function VerifyOTP({ authState, setAuthState, callbackApp }) {
   const navigate = useNavigate()
+  const location = useLocation()
   const [otp, setOtp] = useState(['', '', '', '', '', ''])
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
   const [resendTimer, setResendTimer] = useState(60)
   const [canResend, setCanResend] = useState(false)
+  // Set once the code is accepted and a site is waiting for the sign-in
+  const [verifiedToken, setVerifiedToken] = useState(null)
   const inputRefs = useRef([])
 
   // Countdown timer for resend
@@ -89,23 +98,17 @@ function VerifyOTP({ authState, setAuthState }) {
     try {
       const response = await authApi.verifyOTP(authState.email, code, authState.callbackUrl)
       
-      // Store token
-      localStorage.setItem('auth_token', response.token)
-      localStorage.setItem('auth_user', JSON.stringify(response.user))
+      startSession(response)
+      // The code is used up; a reload must not bring this page back
+      clearLoginFlow()
       
-      // Navigate to success or callback
+      // Navigate to success, or ask before sending the sign-in to the callback
       if (authState.callbackUrl) {
-        // Redirect to callback with token
-        const callbackUrl = new URL(authState.callbackUrl)
-        callbackUrl.searchParams.set('token', response.token)
-        window.location.href = callbackUrl.toString()
+        setVerifiedToken(response.token)
       } else {
-        navigate('/success', { 
-          state: { 
-            user: response.user,
-            token: response.token 
-          } 
-        })
+        const returnTo = authState.returnTo
+        setAuthState(prev => ({ ...prev, pendingVerification: false, returnTo: null }))
+        navigate(returnTo || '/success', { replace: true })
       }
     } catch (err) {
       setError(err.error || 'Doğrulama başarısız')
@@ -117,6 +120,60 @@ function VerifyOTP({ authState, setAuthState }) {
     }
   }
 
+  const handleContinue = async () => {
+    setLoading(true)
+    setError('')
+
+    try {
+      // Checked by App before this page shows; refuse to send a code anywhere else
+      const callbackUrl = parseCallbackUrl(authState.callbackUrl)
+      if (!callbackUrl) {
+        throw { error: 'Geçersiz yönlendirme adresi' }
+      }
+
+      // Redirect with a one-time code; the SDK exchanges it for the token. The code
+      // is bound to the page without its query, which the return adds to
+      const { code } = await authApi.createAuthCode(verifiedToken, codeCallbackUrl(callbackUrl))
+
+      if (authState.popup && window.opener) {
+        // Only the callback's origin may receive the code
+        window.opener.postMessage(
+          { type: POPUP_MESSAGE_TYPE, code, state: authState.callbackState },
+          callbackUrl.origin
+        )
+        window.close()
+        return
+      }
+
+      callbackUrl.searchParams.set('code', code)
+      if (authState.callbackState) {
+        callbackUrl.searchParams.set('state', authState.callbackState)
+      }
+      // Stays loading while the browser leaves the page
+      window.location.href = callbackUrl.toString()
+    } catch (err) {
+      setError(err.error || 'Yönlendirme başarısız')
+      setLoading(false)
+    }
+  }
+
+  // Signed in here, but nothing is sent to the site
+  const handleCancel = () => {
+    if (authState.popup && window.opener) {
+      window.close()
+      return
+    }
+    setAuthState(prev => ({
+      ...prev,
+      pendingVerification: false,
+      callbackUrl: null,
+      callbackState: null,
+      popup: false,
+      returnTo: null,
+    }))
+    navigate('/success', { replace: true })
+  }
+
   const handleResend = async () => {
     if (!canResend) return
     
@@ -136,6 +193,79 @@ function VerifyOTP({ authState, setAuthState }) {
     (_, start, middle, end) => start + '*'.repeat(Math.min(middle.length, 5)) + end
   )
 
+  if (verifiedToken) {
+    return (
+      <div className="auth-layout">
+        <motion.div 
+          className="card"
+          initial={{ opacity: 0, y: 30 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5, ease: [0.16, 1, 0.3, 1] }}
+        >
+          <div className="logo">
+            <img src="/inmapper.png" alt="Inmapper" />
+          </div>
+
+          <div className="heading">
+            <h1>Devam Etmek İstiyor musunuz?</h1>
+            <p>
+              <strong>{authState.email}</strong> hesabıyla bu uygulamaya giriş yapılacak
+            </p>
+          </div>
+
+          {callbackApp && <ClientCard app={callbackApp} />}
+
+          {error && (
+            <motion.div 
+              className="message message-error"
+              initial={{ opacity: 0, scale: 0.95 }}
+              animate={{ opacity: 1, scale: 1 }}
+            >
+              <span>⚠️</span>
+              <span>{error}</span>
+            </motion.div>
+          )}
+
+          <motion.button 
+            type="button"
+            className="btn btn-primary"
+            onClick={handleContinue}
+            disabled={loading}
+            whileTap={{ scale: 0.98 }}
+          >
+            {loading ? (
+              <>
+                <div className="spinner" />
+                <span>Yönlendiriliyor...</span>
+              </>
+            ) : (
+              <>
+                <span>
+                  {callbackApp ? `${callbackApp.name} uygulamasına devam et` : 'Devam Et'}
+                </span>
+                <span>→</span>
+              </>
+            )}
+          </motion.button>
+
+          <div className="auth-footer" style={{ marginTop: '16px' }}>
+            <p style={{ fontSize: '12px', color: 'var(--text-muted)', marginBottom: '8px' }}>
+              Bu uygulamayı ve adresini tanımıyorsanız devam etmeyin.
+            </p>
+            <button 
+              className="btn btn-text" 
+              onClick={handleCancel}
+              type="button"
+              disabled={loading}
+            >
+              İptal
+            </button>
+          </div>
+        </motion.div>
+      </div>
+    )
+  }
+
   return (
     <div className="auth-layout">
       <motion.div 
@@ -155,6 +285,10 @@ function VerifyOTP({ authState, setAuthState }) {
           </p>
         </div>
 
+        {callbackApp && (
+          <ClientCard app={callbackApp} caption="Giriş yapılacak uygulama" />
+        )}
+
         {error && (
           <motion.div 
             className="message message-error"
@@ -230,7 +364,7 @@ function VerifyOTP({ authState, setAuthState }) {
             className="btn btn-text" 
             onClick={() => {
               setAuthState(prev => ({ ...prev, pendingVerification: false }))
-              navigate('/login')
+              navigate({ pathname: '/login', search: location.search })
             }}
             type="button"
           >
@@ -0,0 +1,1556 @@
+import {
+  DEFAULT_CONFIG,
+  EVENTS,
+  POPUP_MESSAGE_TYPE,
+  SILENT_READY_TYPE,
+  SILENT_REQUEST_TYPE,
+  SILENT_RESULT_TYPE,
+  MAX_TIMER_DELAY,
+  MAX_REFRESH_JITTER,
+} from './config.js';
+import { storageAdapters, resolveStorage } from './storage.js';
+import { createState, createLoginState, takeCallbackCode, exchangeCallbackCode, codeCallbackUrl } from './callback.js';
+import { renderAccessDenied } from './accessDenied.js';
+
+export class InmapperAuth {
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this._storage = resolveStorage(this.config.storage, this.config.cookieOptions);
+    this._user = null;
+    this._token = null;
+    this._refreshToken = null;
+    this._expiresAt = null;
+    this._validatedAt = null; // Last time the server accepted the session
+    this._offline = false;
+    this._refreshTimer = null;
+    this._refreshPromise = null;
+    this._permissions = new Map(); // resourceId -> { allowed, expiresAt }
+    this._listeners = {};
+    this._pendingLogin = false;
+    this._channel = null;
+    this._initialized = false;
+    this._initPromise = null;
+    this._initRun = null; // Current init() run, cleared by destroy()
+    this._lastInit = Promise.resolve();
+    this._onVisibilityChange = this._onVisibilityChange.bind(this);
+    this._onOnline = this._onOnline.bind(this);
+    this._onStorage = this._onStorage.bind(this);
+  }
+
+  /**
+   * Initialize and check authentication
+   * Call this on page load
+   */
+  async init() {
+    // Concurrent callers share one run so a callback code is exchanged only once
+    if (!this._initPromise) {
+      const run = {};
+      this._initRun = run;
+      // A run cancelled by destroy() may still be redeeming a code; start after it
+      // so this one finds the session it saved
+      this._initPromise = this._lastInit.then(() => this._initialize(run));
+      this._lastInit = this._initPromise.catch(() => {});
+    }
+    await this._initPromise;
+    return this;
+  }
+
+  async _initialize(run) {
+    // destroy() during an await: stop here instead of adding listeners to a dead instance
+    const cancelled = () => {
+      if (run === this._initRun) return false;
+      this._cancelRefresh();
+      return true;
+    };
+    if (cancelled()) return;
+
+    // Listen for changes made in other tabs
+    this._startSync();
+    
+    // Check for authorization code in URL (returning from login)
+    await this._handleCallbackToken();
+    if (cancelled()) return;
+    
+    // Load from storage
+    this._loadFromStorage();
+
+    // No local session - ask the login site whether the user is already signed in
+    if (!this._token && this.config.silentAuth) {
+      await this._silentSignIn(this.config.silentAuthTimeout);
+      if (cancelled()) return;
+    }
+
+    // Keep the session alive while the page is open
+    this._scheduleRefresh();
+    if (typeof document !== 'undefined') {
+      document.addEventListener('visibilitychange', this._onVisibilityChange);
+    }
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', this._onOnline);
+    }
+    
+    this._initialized = true;
+  }
+
+  /**
+   * Protect the current page - redirects to login if not authenticated
+   * Honours onAuthRequired / autoRedirect and accessDenied / onAccessDenied.
+   * @param {Object} options - Protection options
+   * @param {string} options.resourceId - Override config resourceId for this check
+   * @param {string} options.callbackUrl - Where login returns to (defaults to current page)
+   * @param {boolean} options.renderDeniedScreen - false leaves the denied UI to the caller
+   *   and resolves to { user, allowed } instead
+   * @returns {Promise<Object|null>} User object or null; { user, allowed } with
+   *   renderDeniedScreen: false, where allowed is null while offline with no known answer
+   */
+  async protect(options = {}) {
+    const { callbackUrl = null, renderDeniedScreen = true } = options;
+    const resourceId = options.resourceId || this.config.resourceId;
+    await this.init();
+    
+    const result = await this.getUser(false, resourceId);
+    const user = result ? result.user || result : null;
+    let allowed = true;
+    
+    if (!result) {
+      this._redirectToLogin(callbackUrl);
+      allowed = false;
+    } else if (result.hasResourceAccess === false) {
+      // Check permission if resourceId is set
+      this._handleAccessDenied(user, resourceId, renderDeniedScreen);
+      allowed = false;
+    } else if (result.hasResourceAccess === null) {
+      // Offline with no known answer: neither shown nor denied until the API is back
+      allowed = null;
+    }
+
+    if (!renderDeniedScreen) {
+      return { user, allowed };
+    }
+    return allowed ? user : null;
+  }
+
+  /**
+   * Check if user is authenticated (without redirect)
+   * @returns {Promise<boolean>}
+   */
+  async isAuthenticated() {
+    await this.init();
+    const user = await this.getUser();
+    return !!user;
+  }
+
+  /**
+   * Get current user (validates token with server)
+   * @param {boolean} forceRefresh - Force server validation
+   * @param {string} resourceId - Resource to check permission for
+   * @returns {Promise<Object|null>} User object with permission info or null
+   */
+  async getUser(forceRefresh = false, resourceId = null) {
+    await this.init();
+    
+    if (!this._token) {
+      return null;
+    }
+
+    // Expired token - try to refresh before validating
+    if (this.isTokenExpired()) {
+      const refreshed = await this.refreshToken();
+      if (!refreshed) {
+        // Still signed in only if the refresh failed for lack of network
+        return this._token ? this._offlineResult(null, resourceId) : null;
+      }
+    }
+
+    // Return cached user if not forcing refresh and no resource check needed
+    if (this._user && !forceRefresh && !resourceId) {
+      return this._user;
+    }
+
+    // Same for a resource checked recently
+    if (this._user && !forceRefresh && resourceId) {
+      const cached = this._getCachedPermission(resourceId);
+      if (cached !== undefined) {
+        return { user: this._user, hasResourceAccess: cached };
+      }
+    }
+
+    // Validate with server
+    const body = { token: this._token };
+    if (resourceId) {
+      body.resource = resourceId;
+    }
+
+    let response;
+    let data;
+    try {
+      response = await fetch(`${this.config.apiUrl}/auth/validate`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+      });
+      data = await response.json();
+    } catch (error) {
+      error.network = true;
+      return this._handleValidationUnavailable(error, resourceId);
+    }
+
+    // A failing auth server says nothing about the token
+    if (response.status >= 500) {
+      const error = new Error(data.error || `Auth API responded with ${response.status}`);
+      error.status = response.status;
+      return this._handleValidationUnavailable(error, resourceId);
+    }
+
+    if (!data.valid || !data.user) {
+      const error = new Error(data.error || 'Invalid token');
+      this._emit('validationFailed', { error });
+      this._handleSessionExpired(error, 'invalid');
+      return null;
+    }
+
+    const userChanged = JSON.stringify(data.user) !== JSON.stringify(this._user);
+    this._user = data.user;
+    this._validatedAt = Date.now();
+    this._updateExpiry(data);
+    this._saveToStorage();
+    this._setOnline();
+
+    if (userChanged) {
+      this._notifyChange('user');
+    }
+
+    // First successful validation of a new token is a sign-in
+    if (this._pendingLogin) {
+      this._completeLogin(false);
+    }
+
+    // Return full data if resourceId was provided (includes hasResourceAccess)
+    if (resourceId) {
+      this._cachePermissions({ [resourceId]: data.hasResourceAccess });
+      return {
+        user: this._user,
+        hasResourceAccess: data.hasResourceAccess
+      };
+    }
+
+    return this._user;
+  }
+
+  /**
+   * Whether the SDK is currently trusting the cached session because the
+   * auth API is unreachable, see config.offlineGracePeriod
+   * @returns {boolean}
+   */
+  isOffline() {
+    return this._offline;
+  }
+
+  /**
+   * Get current token
+   * @returns {string|null}
+   */
+  getToken() {
+    return this._token;
+  }
+
+  /**
+   * Manually set token (useful for server-side scenarios)
+   * @param {string|null} token - null clears the session without a server call
+   */
+  setToken(token) {
+    if (!token) {
+      this._clearAuth();
+      return;
+    }
+
+    const hadToken = !!this._token;
+    this._token = token;
+    this._user = null;
+    this._refreshToken = null;
+    this._expiresAt = this._decodeTokenExpiry(token);
+    this._validatedAt = null;
+    this._saveToStorage();
+    this._forgetKnownPermissions();
+    this._scheduleRefresh();
+    this._notifyChange(hadToken ? 'token' : 'login');
+  }
+
+  /**
+   * Adopt a session issued directly by the API, e.g. after OTP verification
+   * on the hosted login app
+   * @param {Object} data - { token, user, refreshToken, expiresIn | expiresAt }
+   */
+  setSession(data) {
+    if (!data || !data.token) {
+      this._clearAuth();
+      return;
+    }
+    this._startSession(data);
+  }
+
+  /**
+   * Subscribe to an auth event
+   * @param {string} event - 'login', 'logout', 'tokenChanged', 'validationFailed',
+   *   'sessionExpired', 'accessDenied', 'networkError', 'offline', 'online' or 'change'
+   * @param {Function} handler - Receives the event detail object
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, handler) {
+    if (!EVENTS.includes(event)) {
+      throw new Error(`[InmapperAuth] Unknown event "${event}"`);
+    }
+    (this._listeners[event] = this._listeners[event] || []).push(handler);
+    return () => this.off(event, handler);
+  }
+
+  /**
+   * Unsubscribe from an auth event
+   * @param {string} event
+   * @param {Function} handler - Omit to remove every handler for the event
+   */
+  off(event, handler) {
+    if (!this._listeners[event]) return;
+    this._listeners[event] = handler
+      ? this._listeners[event].filter(h => h !== handler)
+      : [];
+  }
+
+  /**
+   * Subscribe to session changes in this tab and in other tabs
+   * Shorthand for on('change', listener). The listener receives
+   * { type, user, token, remote } where type is 'login', 'logout', 'token' or 'user'.
+   * @param {Function} listener
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    return this.on('change', listener);
+  }
+
+  /**
+   * Get token expiry time
+   * @returns {number|null} Expiry as epoch milliseconds, or null if unknown
+   */
+  getTokenExpiry() {
+    return this._expiresAt;
+  }
+
+  /**
+   * Check if the current token has expired
+   * @returns {boolean}
+   */
+  isTokenExpired() {
+    return !!this._expiresAt && Date.now() >= this._expiresAt;
+  }
+
+  /**
+   * Refresh the session token
+   * Uses the refresh token if the server issued one, otherwise the
+   * current token is sent for a sliding-session renewal.
+   * Concurrent calls share the same request.
+   * @returns {Promise<string|null>} New token or null if refresh failed
+   */
+  async refreshToken() {
+    if (!this._token) return null;
+
+    if (!this._refreshPromise) {
+      this._refreshPromise = this._requestRefresh().finally(() => {
+        this._refreshPromise = null;
+      });
+    }
+
+    return this._refreshPromise;
+  }
+
+  /**
+   * Stop background refresh and remove listeners
+   */
+  destroy() {
+    this._cancelRefresh();
+    this._stopSync();
+    if (typeof document !== 'undefined') {
+      document.removeEventListener('visibilitychange', this._onVisibilityChange);
+    }
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('online', this._onOnline);
+    }
+    this._initialized = false;
+    this._initPromise = null;
+    this._initRun = null;
+  }
+
+  /**
+   * Redirect to login page
+   * @param {string} callbackUrl - URL to return to after login (defaults to current page)
+   */
+  login(callbackUrl = null) {
+    const callback = callbackUrl || window.location.href;
+    const state = createLoginState(this.config.stateKey);
+    const loginUrl = `${this.config.loginUrl}?callback=${encodeURIComponent(callback)}&state=${state}`;
+    window.location.href = loginUrl;
+  }
+
+  /**
+   * Sign in through a popup window instead of a full-page redirect
+   * The hosted login page posts a one-time code back to this window,
+   * which is then exchanged for the session like a redirect callback.
+   * Must be called from a user gesture (click) or the popup is blocked.
+   * @param {Object} options
+   * @param {number} options.width - Popup width in px
+   * @param {number} options.height - Popup height in px
+   * @param {number} options.timeout - ms to wait for the user, 0 for no limit
+   * @returns {Promise<Object>} Signed-in user; rejects if the popup is blocked or closed
+   */
+  async loginWithPopup(options = {}) {
+    const { width = 480, height = 720, timeout = 0 } = options;
+    const state = createState();
+    const loginOrigin = new URL(this.config.loginUrl, window.location.href).origin;
+    const url = `${this.config.loginUrl}?callback=${encodeURIComponent(window.location.href)}` +
+      `&state=${state}&mode=popup`;
+
+    // Open synchronously - awaiting anything first loses the user gesture
+    const left = window.screenX + Math.max(window.outerWidth - width, 0) / 2;
+    const top = window.screenY + Math.max(window.outerHeight - height, 0) / 2;
+    const popup = window.open(
+      url,
+      'inmapper_auth_login',
+      `popup,width=${width},height=${height},left=${left},top=${top}`
+    );
+
+    if (!popup) {
+      throw new Error('Login popup was blocked');
+    }
+
+    const code = await new Promise((resolve, reject) => {
+      let settled = false;
+      let timeoutTimer = null;
+      let closedTimer = null;
+
+      const finish = (error, result) => {
+        if (settled) return;
+        settled = true;
+        window.removeEventListener('message', onMessage);
+        clearInterval(pollTimer);
+        clearTimeout(timeoutTimer);
+        clearTimeout(closedTimer);
+        if (!popup.closed) popup.close();
+        if (error) reject(error);
+        else resolve(result);
+      };
+
+      const onMessage = (event) => {
+        if (event.origin !== loginOrigin || event.source !== popup) return;
+        const data = event.data || {};
+        if (data.type !== POPUP_MESSAGE_TYPE) return;
+
+        if (data.state !== state) {
+          finish(new Error('Login state mismatch'));
+        } else if (data.error || !data.code) {
+          finish(new Error(data.error || 'Login failed'));
+        } else {
+          finish(null, data.code);
+        }
+      };
+
+      // The page closes itself right after posting; give the message a moment to arrive
+      const pollTimer = setInterval(() => {
+        if (popup.closed && !closedTimer) {
+          closedTimer = setTimeout(() => finish(new Error('Login popup was closed')), 500);
+        }
+      }, 500);
+
+      if (timeout) {
+        timeoutTimer = setTimeout(() => finish(new Error('Login popup timed out')), timeout);
+      }
+
+      window.addEventListener('message', onMessage);
+    });
+
+    await this.init();
+
+    let data;
+    try {
+      data = await exchangeCallbackCode(this.config, code);
+    } catch (error) {
+      console.error('[InmapperAuth] Popup login error:', error);
+      if (error.network) {
+        this._handleNetworkError(error, 'exchange');
+      }
+      throw error;
+    }
+
+    this._startSession(data);
+    return this._user || this.getUser();
+  }
+
+  /**
+   * Check for an existing Inmapper session without redirecting
+   * Signs in silently when the user is already signed in on the login site.
+   * @param {Object} options
+   * @param {number} options.timeout - ms to wait for the silent-auth page
+   * @returns {Promise<Object|null>} User or null if there is no session
+   */
+  async checkSession(options = {}) {
+    await this.init();
+
+    if (this._token) {
+      return this.getUser();
+    }
+
+    const signedIn = await this._silentSignIn(options.timeout || this.config.silentAuthTimeout);
+    return signedIn ? (this._user || this.getUser()) : null;
+  }
+
+  /**
+   * Logout and optionally redirect to login
+   * @param {boolean} redirect - Redirect to login page after logout
+   */
+  async logout(redirect = false) {
+    // Revoke session on server
+    if (this._token) {
+      try {
+        await fetch(`${this.config.apiUrl}/auth/logout`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ token: this._token }),
+        });
+      } catch (error) {
+        console.error('[InmapperAuth] Logout error:', error);
+        this._emit('networkError', { error, operation: 'logout' });
+      }
+    }
+
+    this._clearAuth();
+
+    if (redirect) {
+      this.login();
+    }
+  }
+
+  /**
+   * Make authenticated API request
+   * Adds the bearer token when signed in. On a 401 the session is refreshed
+   * (or re-validated) once and the request retried; if that fails the login
+   * flow / onAuthRequired is triggered.
+   * @param {string} url - Absolute, or relative to config.baseUrl
+   * @param {Object} options - fetch options, plus:
+   * @param {*} options.json - Body to send as JSON
+   * @param {number} options.timeout - Override config.fetchTimeout
+   * @returns {Promise<Response>}
+   */
+  async fetch(url, options = {}) {
+    await this.init();
+
+    const { json, timeout = this.config.fetchTimeout, ...init } = options;
+    if (json !== undefined) {
+      init.body = JSON.stringify(json);
+    }
+
+    const target = this._resolveUrl(url);
+    const sentToken = await this.getAccessToken();
+    let response = await this._send(target, init, json !== undefined, timeout);
+
+    if (response.status !== 401) {
+      return response;
+    }
+
+    if (await this.handleUnauthorized(sentToken)) {
+      response = await this._send(target, init, json !== undefined, timeout);
+      if (response.status === 401) {
+        await this.handleUnauthorized(this._token, true);
+      }
+    }
+
+    return response;
+  }
+
+  /**
+   * Get the token to send with a request
+   * Waits for a refresh in flight and renews an expired token first, so
+   * requests made meanwhile go out with the new token.
+   * @returns {Promise<string|null>}
+   */
+  async getAccessToken() {
+    await this.init();
+
+    if (this._refreshPromise) {
+      await this._refreshPromise;
+    } else if (this.isTokenExpired()) {
+      await this.refreshToken();
+    }
+    return this._token;
+  }
+
+  /**
+   * Recover the session after a request was answered with 401
+   * Shared by fetch() and the axios/ky interceptors. Resolves to true when a
+   * new token is available and the request should be sent once more;
+   * otherwise the login flow / onAuthRequired is triggered.
+   * @param {string|null} sentToken - Token the failed request carried
+   * @param {boolean} retried - The 401 answered the retry; go straight to login
+   * @returns {Promise<boolean>}
+   */
+  async handleUnauthorized(sentToken, retried = false) {
+    // Another request may already have refreshed the token
+    if (sentToken && !retried) {
+      const recovered = this._token !== sentToken || await this._recoverSession();
+      if (recovered && this._token) return true;
+    }
+
+    this._redirectToLogin();
+    return false;
+  }
+
+  /**
+   * Make authenticated API request and parse the JSON response
+   * Rejects with an Error carrying `status` and `data` on non-2xx responses.
+   * @param {string} url
+   * @param {Object} options - Same as fetch()
+   * @returns {Promise<*>} Parsed body, or null for empty responses
+   */
+  async fetchJSON(url, options = {}) {
+    const response = await this.fetch(url, options);
+    const text = await response.text();
+
+    let data = null;
+    if (text) {
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        data = text;
+      }
+    }
+
+    if (!response.ok) {
+      const error = new Error((data && (data.error || data.message)) || `Request failed with status ${response.status}`);
+      error.status = response.status;
+      error.data = data;
+      throw error;
+    }
+
+    return data;
+  }
+
+  get(url, options = {}) {
+    return this.fetchJSON(url, { ...options, method: 'GET' });
+  }
+
+  post(url, body, options = {}) {
+    return this.fetchJSON(url, { ...options, method: 'POST', json: body });
+  }
+
+  put(url, body, options = {}) {
+    return this.fetchJSON(url, { ...options, method: 'PUT', json: body });
+  }
+
+  patch(url, body, options = {}) {
+    return this.fetchJSON(url, { ...options, method: 'PATCH', json: body });
+  }
+
+  delete(url, options = {}) {
+    return this.fetchJSON(url, { ...options, method: 'DELETE' });
+  }
+
+  // Private methods
+
+  _resolveUrl(url) {
+    if (!this.config.baseUrl || /^[a-z][a-z\d+\-.]*:/i.test(url) || url.startsWith('//')) {
+      return url;
+    }
+    return `${this.config.baseUrl.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+  }
+
+  async _send(url, init, isJson, timeout) {
+    const headers = new Headers(init.headers);
+    if (this._token && !headers.has('Authorization')) {
+      headers.set('Authorization', `Bearer ${this._token}`);
+    }
+    if (isJson && !headers.has('Content-Type')) {
+      headers.set('Content-Type', 'application/json');
+    }
+
+    if (!timeout) {
+      return fetch(url, { ...init, headers });
+    }
+
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+
+    // Keep honoring the caller's own abort signal
+    if (init.signal) {
+      if (init.signal.aborted) controller.abort();
+      else init.signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+
+    try {
+      return await fetch(url, { ...init, headers, signal: controller.signal });
+    } catch (error) {
+      if (timedOut) {
+        const timeoutError = new Error(`Request timed out after ${timeout}ms`);
+        timeoutError.timeout = true;
+        throw timeoutError;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // After a 401: refresh the token, or re-validate when refresh is disabled
+  async _recoverSession() {
+    if (!this._token) return false;
+
+    if (this.config.autoRefresh) {
+      return !!(await this.refreshToken());
+    }
+    return !!(await this.getUser(true));
+  }
+
+  async _handleCallbackToken() {
+    const callback = takeCallbackCode(this.config.stateKey, this.config.acceptUnsolicitedCodes);
+
+    if (!callback) return;
+
+    if (callback.error) {
+      console.error('[InmapperAuth] Callback error:', callback.error);
+      this._emit('validationFailed', { error: callback.error });
+      return;
+    }
+
+    let data;
+    try {
+      data = await exchangeCallbackCode(this.config, callback.code);
+    } catch (error) {
+      console.error('[InmapperAuth] Callback error:', error);
+
+      if (error.network) {
+        this._handleNetworkError(error, 'exchange');
+      } else {
+        this._emit('validationFailed', { error });
+      }
+      return;
+    }
+
+    this._startSession(data);
+  }
+
+  async _silentSignIn(timeout) {
+    if (typeof document === 'undefined') return false;
+
+    const code = await this._requestSilentCode(timeout);
+    if (!code) return false;
+
+    try {
+      this._startSession(await exchangeCallbackCode(this.config, code));
+      return true;
+    } catch (error) {
+      console.error('[InmapperAuth] Silent auth error:', error);
+      if (error.network) {
+        this._handleNetworkError(error, 'exchange');
+      }
+      return false;
+    }
+  }
+
+  // Resolves with a one-time code from the silent-auth page, or null
+  _requestSilentCode(timeout) {
+    return new Promise((resolve) => {
+      const silentOrigin = new URL(this.config.silentAuthUrl, window.location.href).origin;
+      const state = createState();
+      const iframe = document.createElement('iframe');
+      let timer = null;
+
+      const finish = (code) => {
+        clearTimeout(timer);
+        window.removeEventListener('message', onMessage);
+        iframe.remove();
+        resolve(code);
+      };
+
+      const onMessage = (event) => {
+        if (event.origin !== silentOrigin || event.source !== iframe.contentWindow) return;
+        const data = event.data || {};
+
+        if (data.type === SILENT_READY_TYPE) {
+          iframe.contentWindow.postMessage(
+            { type: SILENT_REQUEST_TYPE, state, callbackUrl: codeCallbackUrl() },
+            silentOrigin
+          );
+        } else if (data.type === SILENT_RESULT_TYPE) {
+          if (data.error === 'storage_partitioned') {
+            console.warn('[InmapperAuth] Silent auth only works on the login site\'s own site; this browser partitions its storage here');
+          }
+          finish(data.state === state && data.code ? data.code : null);
+        }
+      };
+
+      window.addEventListener('message', onMessage);
+      timer = setTimeout(() => finish(null), timeout);
+
+      iframe.style.display = 'none';
+      iframe.setAttribute('aria-hidden', 'true');
+      iframe.src = this.config.silentAuthUrl;
+      (document.body || document.documentElement).appendChild(iframe);
+    });
+  }
+
+  // Adopt a session returned by the code exchange
+  _startSession(data) {
+    this._token = data.token;
+    this._user = data.user || null;
+    this._refreshToken = data.refreshToken || null;
+    this._expiresAt = null;
+    this._validatedAt = this._user ? Date.now() : null;
+    this._updateExpiry(data);
+    this._saveToStorage();
+    this._forgetKnownPermissions();
+    this._scheduleRefresh();
+    this._notifyChange('login');
+
+    if (this._user) {
+      this._completeLogin(false);
+    }
+  }
+
+  _loadFromStorage() {
+    try {
+      this._token = this._storage.getItem(this.config.tokenKey);
+      const userJson = this._storage.getItem(this.config.userKey);
+      this._user = userJson ? JSON.parse(userJson) : null;
+      this._refreshToken = this._storage.getItem(this.config.refreshTokenKey);
+      const expiresAt = this._storage.getItem(this.config.expiresKey);
+      this._expiresAt = expiresAt ? Number(expiresAt) : this._decodeTokenExpiry(this._token);
+      const validatedAt = this._storage.getItem(this.config.validatedAtKey);
+      this._validatedAt = validatedAt ? Number(validatedAt) : null;
+    } catch (error) {
+      console.error('[InmapperAuth] Storage error:', error);
+    }
+  }
+
+  _saveToStorage() {
+    try {
+      if (this._token) {
+        this._storage.setItem(this.config.tokenKey, this._token);
+      }
+      if (this._user) {
+        this._storage.setItem(this.config.userKey, JSON.stringify(this._user));
+      }
+      if (this._refreshToken) {
+        this._storage.setItem(this.config.refreshTokenKey, this._refreshToken);
+      } else {
+        this._storage.removeItem(this.config.refreshTokenKey);
+      }
+      if (this._expiresAt) {
+        this._storage.setItem(this.config.expiresKey, String(this._expiresAt));
+      } else {
+        this._storage.removeItem(this.config.expiresKey);
+      }
+      if (this._validatedAt) {
+        this._storage.setItem(this.config.validatedAtKey, String(this._validatedAt));
+      } else {
+        this._storage.removeItem(this.config.validatedAtKey);
+      }
+    } catch (error) {
+      console.error('[InmapperAuth] Storage error:', error);
+    }
+  }
+
+  _clearAuth(reason = 'logout') {
+    const hadToken = !!this._token;
+    this._pendingLogin = false;
+    this._permissions.clear();
+    this._cancelRefresh();
+    this._token = null;
+    this._user = null;
+    this._refreshToken = null;
+    this._expiresAt = null;
+    this._validatedAt = null;
+    this._offline = false;
+    this._forgetKnownPermissions();
+    try {
+      this._storage.removeItem(this.config.tokenKey);
+      this._storage.removeItem(this.config.userKey);
+      this._storage.removeItem(this.config.refreshTokenKey);
+      this._storage.removeItem(this.config.expiresKey);
+      this._storage.removeItem(this.config.validatedAtKey);
+    } catch (error) {
+      console.error('[InmapperAuth] Storage error:', error);
+    }
+
+    if (hadToken) {
+      this._notifyChange('logout', { reason });
+    }
+  }
+
+  _startSync() {
+    if (!this.config.syncTabs || typeof window === 'undefined') return;
+
+    // BroadcastChannel carries the full state; storage events are the fallback
+    if (typeof BroadcastChannel !== 'undefined') {
+      this._channel = new BroadcastChannel(this.config.channelName);
+      this._channel.onmessage = (event) => this._applyRemoteState(event.data);
+    } else {
+      window.addEventListener('storage', this._onStorage);
+    }
+  }
+
+  _stopSync() {
+    if (this._channel) {
+      this._channel.close();
+      this._channel = null;
+    }
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('storage', this._onStorage);
+    }
+  }
+
+  _onStorage(event) {
+    if (event.key === this.config.permissionsResetKey) {
+      this._applyRemoteState({ type: 'permissions' });
+      return;
+    }
+    if (event.key !== null && event.key !== this.config.tokenKey && event.key !== this.config.userKey) {
+      return;
+    }
+    this._applyRemoteState(this._readStoredState());
+  }
+
+  // Session as another tab last wrote it
+  _readStoredState() {
+    let user = null;
+    try {
+      const userJson = this._storage.getItem(this.config.userKey);
+      user = userJson ? JSON.parse(userJson) : null;
+    } catch (error) {
+      console.error('[InmapperAuth] Storage error:', error);
+    }
+
+    const expiresAt = this._storage.getItem(this.config.expiresKey);
+    const validatedAt = this._storage.getItem(this.config.validatedAtKey);
+    return {
+      token: this._storage.getItem(this.config.tokenKey),
+      user,
+      refreshToken: this._storage.getItem(this.config.refreshTokenKey),
+      expiresAt: expiresAt ? Number(expiresAt) : null,
+      validatedAt: validatedAt ? Number(validatedAt) : null,
+    };
+  }
+
+  // Take over a token another tab refreshed; whether it signed out is left to the sync events
+  _adoptStoredSession() {
+    if (!this.config.syncTabs) return;
+    try {
+      const state = this._readStoredState();
+      if (state.token && state.token !== this._token) {
+        this._applyRemoteState(state);
+      }
+    } catch (error) {
+      console.error('[InmapperAuth] Storage error:', error);
+    }
+  }
+
+  _applyRemoteState(state) {
+    if (!state) return;
+
+    if (state.type === 'permissions') {
+      this._permissions.clear();
+      return;
+    }
+
+    const token = state.token || null;
+    const user = state.user || null;
+    const tokenChanged = token !== this._token;
+    const userChanged = JSON.stringify(user) !== JSON.stringify(this._user);
+
+    if (!tokenChanged && !userChanged) return;
+
+    if (tokenChanged) {
+      this._permissions.clear();
+    }
+
+    const hadToken = !!this._token;
+    this._token = token;
+    this._user = user;
+    this._refreshToken = state.refreshToken || null;
+    this._expiresAt = state.expiresAt || this._decodeTokenExpiry(token);
+    this._validatedAt = state.validatedAt || null;
+
+    let type = 'user';
+    if (!token) {
+      type = 'logout';
+      this._pendingLogin = false;
+      this._cancelRefresh();
+    } else if (tokenChanged) {
+      type = hadToken ? 'token' : 'login';
+      this._scheduleRefresh();
+    }
+
+    this._emit('change', { type, user: this._user, token: this._token, remote: true });
+    this._emitTyped(type, { reason: state.reason || 'logout' }, true);
+  }
+
+  _notifyChange(type, extra = {}) {
+    // Permissions belong to a token; a new or removed one starts over
+    if (type !== 'user') {
+      this._permissions.clear();
+    }
+
+    if (this._channel) {
+      try {
+        this._channel.postMessage({
+          type,
+          token: this._token,
+          user: this._user,
+          refreshToken: this._refreshToken,
+          expiresAt: this._expiresAt,
+          validatedAt: this._validatedAt,
+          ...extra,
+        });
+      } catch (error) {
+        console.error('[InmapperAuth] Sync error:', error);
+      }
+    }
+
+    this._emit('change', { type, user: this._user, token: this._token, remote: false });
+    this._emitTyped(type, extra, false);
+  }
+
+  // Map a session change onto the specific event for it
+  _emitTyped(type, extra, remote) {
+    if (type === 'login') {
+      // Announced once the user is known, see _completeLogin()
+      this._pendingLogin = true;
+      if (remote && this._user) this._completeLogin(true);
+    } else if (type === 'user') {
+      if (remote && this._pendingLogin && this._user) this._completeLogin(true);
+    } else if (type === 'token') {
+      this._emit('tokenChanged', { token: this._token, expiresAt: this._expiresAt, remote });
+    } else if (type === 'logout') {
+      this._emit('logout', { reason: extra.reason || 'logout', remote });
+    }
+  }
+
+  _completeLogin(remote) {
+    this._pendingLogin = false;
+    this._emit('login', { user: this._user, remote });
+
+    if (this.config.onAuthSuccess) {
+      this.config.onAuthSuccess(this._user);
+    }
+  }
+
+  _emit(event, detail) {
+    (this._listeners[event] || []).forEach((handler) => {
+      try {
+        handler(detail);
+      } catch (error) {
+        console.error(`[InmapperAuth] ${event} handler error:`, error);
+      }
+    });
+  }
+
+  _handleNetworkError(error, operation) {
+    this._emit('networkError', { error, operation });
+
+    if (this.config.onAuthError) {
+      this.config.onAuthError(error);
+    }
+  }
+
+  // Tabs share the session, and a server that rotates refresh tokens accepts
+  // only one refresh per token. Tabs take turns through a Web Lock where
+  // available, and each re-reads the stored session before sending its own.
+  async _requestRefresh() {
+    const sentToken = this._token;
+    const refresh = async () => {
+      this._adoptStoredSession();
+      if (this._token !== sentToken) return this._token;
+      return this._sendRefresh(sentToken);
+    };
+
+    if (this.config.syncTabs && typeof navigator !== 'undefined' && navigator.locks) {
+      return navigator.locks.request(`${this.config.channelName}:refresh`, refresh);
+    }
+    return refresh();
+  }
+
+  async _sendRefresh(sentToken) {
+    const body = { token: sentToken };
+    if (this._refreshToken) {
+      body.refreshToken = this._refreshToken;
+    }
+
+    let response;
+    let data;
+    try {
+      response = await fetch(`${this.config.apiUrl}${this.config.refreshEndpoint}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+      });
+      data = await response.json();
+    } catch (error) {
+      error.network = true;
+      return this._handleRefreshUnavailable(error);
+    }
+
+    if (response.status >= 500) {
+      const error = new Error(data.error || `Auth API responded with ${response.status}`);
+      error.status = response.status;
+      return this._handleRefreshUnavailable(error);
+    }
+
+    if (!response.ok || !data.token) {
+      // Rejected because another tab already used the refresh token
+      this._adoptStoredSession();
+      if (this._token !== sentToken) return this._token;
+
+      this._handleSessionExpired(new Error(data.error || 'Token refresh failed'));
+      return null;
+    }
+
+    this._token = data.token;
+    if (data.refreshToken) {
+      this._refreshToken = data.refreshToken;
+    }
+    if (data.user) {
+      this._user = data.user;
+    }
+    this._expiresAt = null;
+    this._validatedAt = Date.now();
+    this._updateExpiry(data);
+    this._saveToStorage();
+    this._scheduleRefresh();
+    this._setOnline();
+    this._notifyChange('token');
+
+    return this._token;
+  }
+
+  // Network failure or server error says nothing about the session: keep the
+  // tokens and retry. Only the refresh endpoint rejecting them ends the session.
+  _handleRefreshUnavailable(error) {
+    console.error('[InmapperAuth] Refresh error:', error);
+    this._emit('networkError', { error, operation: 'refresh' });
+
+    if (this.isTokenExpired() && this._withinOfflineGrace()) {
+      this._goOffline(error);
+    }
+    this._scheduleRefresh(this.config.refreshRetryDelay);
+    return null;
+  }
+
+  _handleValidationUnavailable(error, resourceId) {
+    console.error('[InmapperAuth] Validation error:', error);
+    this._handleNetworkError(error, 'validate');
+    return this._offlineResult(error, resourceId);
+  }
+
+  // Opt-in: keep trusting the last validated user while the auth API is unreachable
+  _offlineResult(error, resourceId) {
+    if (!this._withinOfflineGrace()) return null;
+
+    this._goOffline(error);
+
+    if (resourceId) {
+      // Last known answer even if stale; the user is trusted, access never assumed
+      const allowed = this._readKnownPermissions()[resourceId];
+      return { user: this._user, hasResourceAccess: typeof allowed === 'boolean' ? allowed : null, offline: true };
+    }
+    return this._user;
+  }
+
+  // Every answer the server gave for this session, for _offlineResult() after a reload
+  _readKnownPermissions() {
+    try {
+      return JSON.parse(this._storage.getItem(this.config.permissionsKey) || '{}');
+    } catch (error) {
+      console.error('[InmapperAuth] Storage error:', error);
+      return {};
+    }
+  }
+
+  _rememberPermissions(permissions) {
+    if (!this.config.offlineGracePeriod) return;
+
+    const known = this._readKnownPermissions();
+    Object.entries(permissions).forEach(([resourceId, allowed]) => {
+      if (typeof allowed === 'boolean') known[resourceId] = allowed;
+    });
+    try {
+      this._storage.setItem(this.config.permissionsKey, JSON.stringify(known));
+    } catch (error) {
+      console.error('[InmapperAuth] Storage error:', error);
+    }
+  }
+
+  // A new sign-in may be someone else; token refreshes keep the answers
+  _forgetKnownPermissions() {
+    try {
+      this._storage.removeItem(this.config.permissionsKey);
+    } catch (error) {
+      console.error('[InmapperAuth] Storage error:', error);
+    }
+  }
+
+  _withinOfflineGrace() {
+    const grace = this.config.offlineGracePeriod;
+    return !!(grace && this._token && this._user && this._validatedAt &&
+      Date.now() - this._validatedAt <= grace);
+  }
+
+  _goOffline(error) {
+    if (this._offline) return;
+    this._offline = true;
+    this._emit('offline', { error, until: this._validatedAt + this.config.offlineGracePeriod });
+  }
+
+  _setOnline() {
+    if (!this._offline) return;
+    this._offline = false;
+    this._emit('online', {});
+  }
+
+  _scheduleRefresh(delay = null) {
+    this._cancelRefresh();
+
+    if (!this.config.autoRefresh || !this._token || !this._expiresAt) return;
+
+    if (delay === null) {
+      // Tokens that live shorter than the margin are refreshed at half-life,
+      // otherwise every refresh would immediately schedule the next one
+      const remaining = this._expiresAt - Date.now();
+      delay = Math.max(remaining - this.config.refreshMargin, remaining / 2);
+      // Tabs share expiresAt; spread them so one refresh usually reaches the others first
+      if (this.config.syncTabs) {
+        delay -= Math.random() * Math.min(delay / 10, MAX_REFRESH_JITTER);
+      }
+    }
+
+    this._refreshTimer = setTimeout(() => {
+      this._refreshTimer = null;
+      this.refreshToken();
+    }, Math.min(Math.max(delay, 0), MAX_TIMER_DELAY));
+  }
+
+  _cancelRefresh() {
+    if (this._refreshTimer) {
+      clearTimeout(this._refreshTimer);
+      this._refreshTimer = null;
+    }
+  }
+
+  _onVisibilityChange() {
+    // Timers are throttled in background tabs and paused during sleep
+    if (document.visibilityState !== 'visible') return;
+    this._refreshIfDue();
+  }
+
+  _onOnline() {
+    // Waking from sleep, the network often comes back after the tab is visible
+    this._refreshIfDue();
+  }
+
+  _refreshIfDue() {
+    if (!this.config.autoRefresh || !this._token || !this._expiresAt) return;
+
+    if (this._expiresAt - Date.now() <= this.config.refreshMargin) {
+      this.refreshToken();
+    }
+  }
+
+  _updateExpiry(data) {
+    if (data.expiresAt) {
+      this._expiresAt = new Date(data.expiresAt).getTime();
+    } else if (data.expiresIn) {
+      this._expiresAt = Date.now() + data.expiresIn * 1000;
+    } else if (!this._expiresAt) {
+      this._expiresAt = this._decodeTokenExpiry(this._token);
+    }
+  }
+
+  _decodeTokenExpiry(token) {
+    // Opaque tokens have no readable expiry; JWTs carry it in `exp`
+    try {
+      const payload = token.split('.')[1];
+      if (!payload) return null;
+      const claims = JSON.parse(atob(payload.replace(/-/g, '+').replace(/_/g, '/')));
+      return typeof claims.exp === 'number' ? claims.exp * 1000 : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  _handleSessionExpired(error, reason = 'expired') {
+    this._clearAuth(reason);
+    this._emit('sessionExpired', { error, reason });
+
+    if (this.config.onSessionExpired) {
+      this.config.onSessionExpired(error);
+    }
+  }
+
+  _redirectToLogin(callbackUrl = null) {
+    if (this.config.onAuthRequired) {
+      this.config.onAuthRequired();
+      if (!this.config.autoRedirect) return;
+    }
+    this.login(callbackUrl);
+  }
+
+  // renderScreen is false for protect({ renderDeniedScreen: false })
+  _handleAccessDenied(user, resourceId = null, renderScreen = true) {
+    this._emit('accessDenied', { user, resourceId });
+
+    if (this.config.onAccessDenied) {
+      this.config.onAccessDenied(user);
+    } else if (renderScreen && !(this._listeners.accessDenied || []).length && typeof document !== 'undefined') {
+      // Default access denied behavior - replace the page with the denied screen
+      const screen = this.config.accessDeniedScreen || {};
+      const canRequest = !!resourceId && screen.requestAccess !== false;
+
+      renderAccessDenied(document.body, {
+        ...screen,
+        user,
+        locale: this.config.locale,
+        onRequestAccess: canRequest ? () => this.requestAccess(resourceId) : null,
+      });
+    }
+  }
+
+  /**
+   * Ask the administrators for access to a resource
+   * Calls config.onRequestAccess when set, otherwise posts to accessRequestEndpoint.
+   * @param {string} resourceId - Defaults to config.resourceId
+   * @returns {Promise<boolean>} Whether the request was delivered
+   */
+  async requestAccess(resourceId = this.config.resourceId) {
+    if (this.config.onRequestAccess) {
+      try {
+        return (await this.config.onRequestAccess(this._user, resourceId)) !== false;
+      } catch (error) {
+        console.error('[InmapperAuth] Access request error:', error);
+        return false;
+      }
+    }
+
+    if (!this._token) return false;
+
+    try {
+      const response = await fetch(`${this.config.apiUrl}${this.config.accessRequestEndpoint}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this._token}`,
+        },
+        body: JSON.stringify({ resource: resourceId, url: window.location.href }),
+      });
+      return response.ok;
+    } catch (error) {
+      console.error('[InmapperAuth] Access request error:', error);
+      this._emit('networkError', { error, operation: 'accessRequest' });
+      return false;
+    }
+  }
+
+  /**
+   * Redirect to another protected site, carrying the session as a one-time code
+   * The target site must set acceptUnsolicitedCodes: true, since it did not
+   * start the login itself.
+   * @param {string} url - Target URL
+   */
+  async redirectTo(url) {
+    if (!this._token) {
+      window.location.href = url;
+      return;
+    }
+
+    try {
+      const response = await fetch(`${this.config.apiUrl}${this.config.codeEndpoint}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this._token}`,
+        },
+        body: JSON.stringify({ callbackUrl: codeCallbackUrl(url) }),
+      });
+      const data = await response.json();
+
+      if (response.ok && data.code) {
+        const separator = url.includes('?') ? '&' : '?';
+        window.location.href = `${url}${separator}code=${encodeURIComponent(data.code)}`;
+        return;
+      }
+    } catch (error) {
+      console.error('[InmapperAuth] Redirect error:', error);
+      this._emit('networkError', { error, operation: 'code' });
+    }
+
+    // Target site falls back to its own login flow
+    window.location.href = url;
+  }
+
+  /**
+   * Check if user has access to specific resource
+   * Answered from the permission cache when possible.
+   * @param {string} resourceId
+   * @returns {Promise<boolean>}
+   */
+  async hasPermission(resourceId) {
+    const result = await this.getUser(false, resourceId);
+    return result?.hasResourceAccess === true;
+  }
+
+  /**
+   * Check access to several resources with a single request
+   * Only resources missing from the permission cache are sent to the server.
+   * @param {string[]} resourceIds
+   * @returns {Promise<Object<string, boolean>|null>} Map of resourceId to access, or null if the lookup failed
+   */
+  async getPermissions(resourceIds) {
+    await this.init();
+
+    const permissions = {};
+    const missing = [];
+    resourceIds.forEach((resourceId) => {
+      const cached = this._token ? this._getCachedPermission(resourceId) : undefined;
+      if (cached === undefined) {
+        missing.push(resourceId);
+      } else {
+        permissions[resourceId] = cached;
+      }
+    });
+
+    if (missing.length) {
+      const data = await this._requestPermissions({ resources: missing });
+      if (!data) return null;
+
+      missing.forEach((resourceId) => {
+        permissions[resourceId] = data.permissions?.[resourceId] === true;
+      });
+      this._cachePermissions(permissions);
+    }
+
+    return permissions;
+  }
+
+  /**
+   * List every resource the user can open
+   * @returns {Promise<Object<string, Object>|null>} Map of resourceId to
+   *   { id, name, description, url }, or null if the lookup failed
+   */
+  async getAccessibleResources() {
+    const data = await this._requestPermissions({});
+    if (!data) return null;
+
+    const resources = {};
+    (data.resources || []).forEach((resource) => {
+      resources[resource.id] = resource;
+    });
+    this._cachePermissions(Object.fromEntries(Object.keys(resources).map(id => [id, true])));
+    return resources;
+  }
+
+  /**
+   * Forget cached permission results here and in other tabs
+   * Call after changing a user's permissions so the next check asks the server.
+   */
+  invalidatePermissions() {
+    this._permissions.clear();
+
+    if (this._channel) {
+      try {
+        this._channel.postMessage({ type: 'permissions' });
+      } catch (error) {
+        console.error('[InmapperAuth] Sync error:', error);
+      }
+    } else if (this.config.syncTabs) {
+      // Storage event fallback: a new value is what other tabs react to
+      try {
+        this._storage.setItem(this.config.permissionsResetKey, String(Date.now()));
+      } catch (error) {
+        console.error('[InmapperAuth] Storage error:', error);
+      }
+    }
+  }
+
+  // Returns the cached access for a resource, or undefined when unknown or stale
+  _getCachedPermission(resourceId) {
+    const entry = this._permissions.get(resourceId);
+    if (!entry) return undefined;
+
+    if (Date.now() >= entry.expiresAt) {
+      this._permissions.delete(resourceId);
+      return undefined;
+    }
+    return entry.allowed;
+  }
+
+  _cachePermissions(permissions) {
+    this._rememberPermissions(permissions);
+    if (!this.config.permissionCacheTtl) return;
+
+    const expiresAt = Date.now() + this.config.permissionCacheTtl;
+    Object.entries(permissions).forEach(([resourceId, allowed]) => {
+      // Servers without resource support omit hasResourceAccess; keep asking them
+      if (typeof allowed === 'boolean') {
+        this._permissions.set(resourceId, { allowed, expiresAt });
+      }
+    });
+  }
+
+  async _requestPermissions(body) {
+    await this.init();
+
+    if (!this._token) return null;
+
+    if (this.isTokenExpired() && !(await this.refreshToken())) {
+      return null;
+    }
+
+    let response;
+    let data;
+    try {
+      response = await fetch(`${this.config.apiUrl}${this.config.permissionsEndpoint}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ token: this._token, ...body }),
+      });
+      data = await response.json();
+    } catch (error) {
+      console.error('[InmapperAuth] Permission lookup error:', error);
+      this._handleNetworkError(error, 'permissions');
+      return null;
+    }
+
+    if (response.status === 401) {
+      const error = new Error(data.error || 'Invalid token');
+      this._emit('validationFailed', { error });
+      this._handleSessionExpired(error, 'invalid');
+      return null;
+    }
+
+    if (!response.ok) {
+      console.error('[InmapperAuth] Permission lookup error:', data.error || response.status);
+      return null;
+    }
+
+    return data;
+  }
+}
+
+// Built-in storage adapter factories, e.g. InmapperAuth.storage.memory()
+InmapperAuth.storage = storageAdapters;
+InmapperAuth.resolveStorage = resolveStorage;
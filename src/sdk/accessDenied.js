@@ -0,0 +1,201 @@
+// Default access-denied screen shown by protect()
+// Built with DOM APIs and textContent only, inside a shadow root so the
+// site's own styles cannot leak in and user data is never parsed as HTML.
+
+export const ACCESS_DENIED_MESSAGES = {
+  tr: {
+    title: 'Erişim Engellendi',
+    description: 'Bu sayfaya erişim yetkiniz bulunmamaktadır. Lütfen yöneticinizle iletişime geçin.',
+    signedInAs: 'Giriş yapan:',
+    unknownUser: 'Bilinmiyor',
+    back: 'Geri Dön',
+    requestAccess: 'Erişim İste',
+    requestSending: 'Gönderiliyor...',
+    requestSent: 'Talebiniz iletildi. Yetki verildiğinde sayfayı yenileyin.',
+    requestFailed: 'Talep gönderilemedi. Lütfen tekrar deneyin.',
+    support: 'Destek:',
+  },
+  en: {
+    title: 'Access Denied',
+    description: "You don't have permission to view this page. Please contact your administrator.",
+    signedInAs: 'Signed in as:',
+    unknownUser: 'Unknown',
+    back: 'Go Back',
+    requestAccess: 'Request Access',
+    requestSending: 'Sending...',
+    requestSent: 'Your request has been sent. Reload the page once access is granted.',
+    requestFailed: 'The request could not be sent. Please try again.',
+    support: 'Support:',
+  },
+};
+
+// Theme option -> CSS custom property used by the stylesheet below
+const THEME_PROPERTIES = {
+  primaryColor: ['--primary', '#3b82f6'],
+  titleColor: ['--title', '#ef4444'],
+  textColor: ['--text', '#334155'],
+  mutedColor: ['--muted', '#64748b'],
+  cardColor: ['--card', '#ffffff'],
+  background: ['--background', 'linear-gradient(135deg, #f0f9ff 0%, #e0f2fe 50%, #f0f4ff 100%)'],
+  fontFamily: ['--font', 'system-ui, -apple-system, sans-serif'],
+};
+
+const STYLES = `
+  :host { all: initial; }
+  .overlay {
+    position: fixed; inset: 0; z-index: 2147483647;
+    display: flex; align-items: center; justify-content: center;
+    padding: 24px; box-sizing: border-box;
+    background: var(--background); color: var(--text);
+    font-family: var(--font); text-align: center;
+  }
+  .card {
+    background: var(--card); padding: 48px; border-radius: 16px;
+    box-shadow: 0 4px 24px rgba(0, 0, 0, 0.1);
+    max-width: 400px; width: 90%; box-sizing: border-box;
+  }
+  .logo { max-height: 48px; max-width: 100%; margin-bottom: 24px; }
+  .icon { font-size: 64px; line-height: 1; margin-bottom: 16px; }
+  h1 { font-size: 24px; font-weight: 700; margin: 0 0 8px; color: var(--title); }
+  p { font-size: 14px; line-height: 1.5; margin: 0 0 16px; color: var(--muted); }
+  .user { color: #94a3b8; }
+  .actions { display: flex; gap: 12px; justify-content: center; flex-wrap: wrap; margin-top: 24px; }
+  button {
+    padding: 12px 24px; border-radius: 8px; cursor: pointer;
+    font: 500 14px var(--font); border: 1px solid var(--primary);
+  }
+  button.primary { background: var(--primary); color: #fff; }
+  button.secondary { background: transparent; color: var(--primary); }
+  button:disabled { opacity: 0.6; cursor: default; }
+  .status { margin: 16px 0 0; }
+  a { color: var(--primary); }
+`;
+
+/**
+ * Pick a supported locale, falling back to English for unknown languages
+ * @param {string|null} locale - e.g. 'en-US'; defaults to the browser language
+ * @returns {string}
+ */
+export function resolveLocale(locale = null) {
+  const candidate = locale || (typeof navigator !== 'undefined' && navigator.language) || 'tr';
+  const language = candidate.slice(0, 2).toLowerCase();
+  return ACCESS_DENIED_MESSAGES[language] ? language : 'en';
+}
+
+function createElement(tag, className = null, text = null) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== null) element.textContent = text;
+  return element;
+}
+
+function isWebUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url, window.location.href).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Replace the contents of a container with the access-denied screen
+ * @param {Element} container - Usually document.body
+ * @param {Object} options
+ * @param {Object} options.user - Signed-in user, shown by name or email
+ * @param {string} options.locale - 'tr' or 'en'; defaults to the browser language
+ * @param {Object} options.messages - Overrides for individual strings
+ * @param {string} options.logoUrl - Image shown above the message
+ * @param {string} options.supportEmail - Shown as a mailto link
+ * @param {string} options.supportUrl - Shown as a link (http/https only)
+ * @param {Function} options.onRequestAccess - Shows a "request access" button;
+ *   must resolve to true once the request was delivered
+ * Theme options: primaryColor, titleColor, textColor, mutedColor, cardColor,
+ * background and fontFamily.
+ * @returns {Element} The element that was inserted
+ */
+export function renderAccessDenied(container, options = {}) {
+  const {
+    user = null,
+    locale = null,
+    messages = {},
+    logoUrl = null,
+    supportEmail = null,
+    supportUrl = null,
+    onRequestAccess = null,
+  } = options;
+  const text = { ...ACCESS_DENIED_MESSAGES[resolveLocale(locale)], ...messages };
+
+  const host = document.createElement('div');
+  Object.entries(THEME_PROPERTIES).forEach(([option, [property, fallback]]) => {
+    host.style.setProperty(property, options[option] || fallback);
+  });
+  const root = host.attachShadow ? host.attachShadow({ mode: 'open' }) : host;
+
+  const style = createElement('style', null, STYLES);
+  const overlay = createElement('div', 'overlay');
+  overlay.setAttribute('role', 'alert');
+  const card = createElement('div', 'card');
+
+  if (logoUrl && isWebUrl(logoUrl)) {
+    const logo = createElement('img', 'logo');
+    logo.src = logoUrl;
+    logo.alt = '';
+    card.appendChild(logo);
+  } else {
+    card.appendChild(createElement('div', 'icon', '🚫'));
+  }
+
+  card.appendChild(createElement('h1', null, text.title));
+  card.appendChild(createElement('p', null, text.description));
+  card.appendChild(createElement('p', 'user', `${text.signedInAs} ${user?.name || user?.email || text.unknownUser}`));
+
+  if (supportEmail || (supportUrl && isWebUrl(supportUrl))) {
+    const support = createElement('p', null, `${text.support} `);
+    const link = createElement('a', null, supportEmail || supportUrl);
+    link.href = supportEmail ? `mailto:${supportEmail}` : supportUrl;
+    if (!supportEmail) link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    support.appendChild(link);
+    card.appendChild(support);
+  }
+
+  const actions = createElement('div', 'actions');
+  const back = createElement('button', 'secondary', text.back);
+  back.type = 'button';
+  back.addEventListener('click', () => window.history.back());
+  actions.appendChild(back);
+
+  if (onRequestAccess) {
+    const status = createElement('p', 'status');
+    status.setAttribute('aria-live', 'polite');
+    const request = createElement('button', 'primary', text.requestAccess);
+    request.type = 'button';
+
+    request.addEventListener('click', async () => {
+      request.disabled = true;
+      status.textContent = text.requestSending;
+
+      let sent = false;
+      try {
+        sent = await onRequestAccess();
+      } catch (error) {
+        console.error('[InmapperAuth] Access request error:', error);
+      }
+
+      status.textContent = sent ? text.requestSent : text.requestFailed;
+      request.disabled = !!sent;
+    });
+
+    actions.appendChild(request);
+    card.appendChild(actions);
+    card.appendChild(status);
+  } else {
+    card.appendChild(actions);
+  }
+
+  overlay.appendChild(card);
+  root.appendChild(style);
+  root.appendChild(overlay);
+  container.replaceChildren(host);
+  return host;
+}
@@ -0,0 +1,76 @@
+import { DEFAULT_CONFIG } from './config.js';
+import { createWebStorage } from './storage.js';
+
+// Login state
+// A random state is stored in sessionStorage by login() and must come back
+// with the one-time code, tying the code to a login started in this tab.
+
+export function createState() {
+  const bytes = new Uint8Array(16);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function createLoginState(stateKey = DEFAULT_CONFIG.stateKey) {
+  const state = createState();
+  createWebStorage('sessionStorage').setItem(stateKey, state);
+  return state;
+}
+
+// A code is bound to the page it returns to as origin + path: the query and hash
+// may change on the way back, so both the issuing and the redeeming side use this
+export function codeCallbackUrl(url = window.location.href) {
+  const { origin, pathname } = new URL(url, typeof window !== 'undefined' ? window.location.href : undefined);
+  return origin + pathname;
+}
+
+// Returns { code }, { error } on a state mismatch, or null when there is no code
+export function takeCallbackCode(stateKey = DEFAULT_CONFIG.stateKey, acceptUnsolicited = false) {
+  if (typeof window === 'undefined') return null;
+
+  const urlParams = new URLSearchParams(window.location.search);
+  const code = urlParams.get('code');
+
+  if (!code) return null;
+
+  const stateStorage = createWebStorage('sessionStorage');
+  const state = urlParams.get('state');
+  const expectedState = stateStorage.getItem(stateKey);
+  stateStorage.removeItem(stateKey);
+
+  // Clean URL before anything else so the code never lingers in history
+  urlParams.delete('code');
+  urlParams.delete('state');
+  const query = urlParams.toString();
+  const cleanUrl = window.location.pathname + (query ? `?${query}` : '') + window.location.hash;
+  window.history.replaceState({}, document.title, cleanUrl);
+
+  const stateValid = state ? state === expectedState : acceptUnsolicited;
+  return stateValid ? { code } : { error: new Error('Login state mismatch') };
+}
+
+// Rejects with error.network = true when the API cannot be reached.
+// callbackUrl is the page the code was issued for; servers pass it explicitly.
+export async function exchangeCallbackCode(config, code, callbackUrl = window.location.href) {
+  const { apiUrl, tokenEndpoint } = { ...DEFAULT_CONFIG, ...config };
+  let response;
+  let data;
+  try {
+    response = await fetch(`${apiUrl}${tokenEndpoint}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ code, callbackUrl: codeCallbackUrl(callbackUrl) }),
+    });
+    data = await response.json();
+  } catch (error) {
+    error.network = true;
+    throw error;
+  }
+
+  if (!response.ok || !data.token) {
+    throw new Error(data.error || 'Code exchange failed');
+  }
+  return data;
+}
@@ -0,0 +1,76 @@
+// Defaults and protocol constants shared by every SDK build
+
+export const DEFAULT_CONFIG = {
+  apiUrl: 'https://inmapper-otp-api.isohtel.com.tr/api',
+  loginUrl: 'https://inmapper-otp.netlify.app/login',
+  tokenKey: 'inmapper_auth_token',
+  userKey: 'inmapper_auth_user',
+  refreshTokenKey: 'inmapper_auth_refresh_token',
+  expiresKey: 'inmapper_auth_expires_at',
+  validatedAtKey: 'inmapper_auth_validated_at',
+  permissionsKey: 'inmapper_auth_permissions', // Last known resource access, kept for offlineGracePeriod
+  permissionsResetKey: 'inmapper_auth_permissions_reset', // Tells other tabs to forget cached access without BroadcastChannel
+  stateKey: 'inmapper_auth_state', // sessionStorage key for the login state parameter
+  storage: 'local', // 'local' | 'session' | 'memory' | 'cookie' | custom adapter
+  cookieOptions: {}, // Used when storage is 'cookie'
+  autoRedirect: true,
+  autoRefresh: true, // Refresh the token shortly before it expires
+  refreshEndpoint: '/auth/refresh',
+  codeEndpoint: '/auth/code', // Issues one-time codes for redirectTo()
+  permissionsEndpoint: '/auth/permissions', // Batch permission lookup
+  accessRequestEndpoint: '/auth/access-requests', // Used by requestAccess()
+  tokenEndpoint: '/auth/token', // Exchanges a one-time code for a session
+  acceptUnsolicitedCodes: false, // Accept codes without a state, e.g. from redirectTo()
+  silentAuth: false, // On init, reuse the login site's session via hidden iframe (same-site only)
+  silentAuthUrl: 'https://inmapper-otp.netlify.app/silent-auth',
+  silentAuthTimeout: 5000, // ms to wait for the silent-auth page
+  baseUrl: null, // Prefix for relative URLs passed to fetch()
+  fetchTimeout: 30000, // ms before fetch() aborts, 0 for no limit
+  refreshMargin: 60000, // ms before expiry to start refreshing
+  refreshRetryDelay: 15000, // ms between retries after a network failure
+  permissionCacheTtl: 60000, // ms to reuse a resource permission result, 0 to always ask the server
+  offlineGracePeriod: 0, // ms to trust the last validated user while the auth API is unreachable
+  syncTabs: true, // Mirror login, logout and token changes across open tabs
+  channelName: 'inmapper_auth',
+  resourceId: null, // Resource identifier for permission checking
+  locale: null, // 'tr' | 'en' for built-in screens; defaults to the browser language
+  accessDeniedScreen: {}, // Theme, logo, support contact and texts, see renderAccessDenied()
+  onAuthRequired: null,
+  onAuthSuccess: null, // Called once per sign-in, same as the 'login' event
+  onAuthError: null, // Called on network errors, same as the 'networkError' event
+  onAccessDenied: null, // Called when user doesn't have permission
+  onRequestAccess: null, // (user, resourceId) => Promise, replaces the built-in access request
+  onSessionExpired: null, // Called when the session ends and cannot be refreshed
+};
+
+// Events emitted through auth.on(event, handler)
+export const EVENTS = [
+  'login', // { user, remote } - a new session was established and validated
+  'logout', // { reason, remote } - reason is 'logout', 'expired' or 'invalid'
+  'tokenChanged', // { token, expiresAt, remote } - token was refreshed or replaced
+  'validationFailed', // { error } - server rejected the token
+  'sessionExpired', // { error, reason } - session ended and could not be refreshed
+  'accessDenied', // { user, resourceId }
+  'networkError', // { error, operation } - auth API could not be reached
+  'offline', // { error, until } - cached session trusted during offlineGracePeriod
+  'online', // {} - auth API reachable again after 'offline'
+  'change', // { type, user, token, remote } - any session change, see onChange()
+];
+
+// postMessage type sent by the hosted login page in popup mode
+export const POPUP_MESSAGE_TYPE = 'inmapper-auth:popup-result';
+
+// postMessage types exchanged with the hosted silent-auth page
+export const SILENT_READY_TYPE = 'inmapper-auth:silent-ready';
+export const SILENT_REQUEST_TYPE = 'inmapper-auth:silent-request';
+export const SILENT_RESULT_TYPE = 'inmapper-auth:silent-result';
+
+// postMessage types exchanged with the token service worker
+export const SW_STATE_TYPE = 'inmapper-auth:sw-state';
+export const SW_STATE_REQUEST_TYPE = 'inmapper-auth:sw-state-request';
+
+// setTimeout overflows above 2^31-1 ms (~24.8 days)
+export const MAX_TIMER_DELAY = 2147483647;
+
+// Upper bound (ms) on how much earlier than planned a tab may start its refresh
+export const MAX_REFRESH_JITTER = 5000;
@@ -0,0 +1,307 @@
+/**
+ * Inmapper Auth SDK - Web Components
+ * Protects static pages with markup alone. Importing the file defines the elements.
+ *
+ * Usage:
+ *   <script type="module" src="https://inmapper-otp.netlify.app/sdk/inmapper-auth-elements.js"></script>
+ *
+ *   <inmapper-user></inmapper-user>
+ *
+ *   <inmapper-protect resource="harita-editoru">
+ *     <p slot="loading">Yükleniyor...</p>
+ *     <p slot="denied">Bu içeriğe erişiminiz yok.</p>
+ *     <main>Korumalı içerik</main>
+ *   </inmapper-protect>
+ *
+ * The elements share the getAuth() instance. To configure it, call
+ * getAuth(config) from inmapper-auth.esm.js in a module script placed
+ * before this one.
+ */
+
+import { getAuth, resolveLocale, ACCESS_DENIED_MESSAGES } from './index.js';
+
+const ELEMENT_MESSAGES = {
+  tr: {
+    login: 'Giriş Yap',
+    logout: 'Çıkış Yap',
+  },
+  en: {
+    login: 'Sign In',
+    logout: 'Sign Out',
+  },
+};
+
+// Lets the module be imported during server rendering, where nothing is defined
+const BaseElement = typeof HTMLElement !== 'undefined' ? HTMLElement : class {};
+
+const PROTECT_STYLES = `
+  :host { display: block; }
+  [hidden] { display: none !important; }
+  .denied { font-family: system-ui, -apple-system, sans-serif; text-align: center; padding: 24px; }
+  .denied h2 { font-size: 20px; margin: 0 0 8px; color: var(--inmapper-title, #ef4444); }
+  .denied p { font-size: 14px; margin: 0; color: var(--inmapper-muted, #64748b); }
+`;
+
+const USER_STYLES = `
+  :host { display: inline-block; position: relative; font-family: var(--inmapper-font, system-ui, -apple-system, sans-serif); }
+  [hidden] { display: none !important; }
+  button { font: inherit; cursor: pointer; }
+  .chip {
+    display: inline-flex; align-items: center; gap: 8px;
+    padding: 4px 12px 4px 4px; border-radius: 999px;
+    border: 1px solid #e2e8f0; background: var(--inmapper-card, #ffffff); color: var(--inmapper-text, #334155);
+  }
+  .avatar {
+    width: 28px; height: 28px; border-radius: 50%;
+    display: inline-flex; align-items: center; justify-content: center;
+    background: var(--inmapper-primary, #3b82f6); color: #fff; font-weight: 600; font-size: 13px;
+  }
+  .menu {
+    position: absolute; right: 0; top: calc(100% + 8px); z-index: 1000; min-width: 200px;
+    padding: 12px; border-radius: 12px; background: var(--inmapper-card, #ffffff);
+    box-shadow: 0 4px 24px rgba(0, 0, 0, 0.1);
+  }
+  .email { font-size: 13px; color: var(--inmapper-muted, #64748b); margin-bottom: 12px; word-break: break-all; }
+  .logout, .login {
+    width: 100%; padding: 8px 16px; border-radius: 8px;
+    border: 1px solid var(--inmapper-primary, #3b82f6);
+  }
+  .logout { background: transparent; color: var(--inmapper-primary, #3b82f6); }
+  .login { background: var(--inmapper-primary, #3b82f6); color: #fff; }
+`;
+
+function createElement(tag, className = null, text = null) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== null) element.textContent = text;
+  return element;
+}
+
+/**
+ * <inmapper-protect resource="...">
+ * Shows its content only to users with access, the "loading" slot while
+ * checking (or offline with no known answer) and the "denied" slot otherwise.
+ * Built on protect({ renderDeniedScreen: false }): signed-out visitors are
+ * sent to login and denials emit the SDK's accessDenied event.
+ * The content is still in the page source; protect data on the server.
+ * Attributes: resource (defaults to config.resourceId), locale.
+ * Events: inmapper-allowed, inmapper-denied ({ user, resourceId }).
+ */
+export class InmapperProtectElement extends BaseElement {
+  static get observedAttributes() {
+    return ['resource'];
+  }
+
+  constructor() {
+    super();
+    this._panels = {};
+    this._checkId = 0;
+    this._unsubscribe = null;
+
+    const root = this.attachShadow({ mode: 'open' });
+    root.appendChild(createElement('style', null, PROTECT_STYLES));
+
+    const loadingSlot = createElement('slot');
+    loadingSlot.name = 'loading';
+    this._panels.loading = createElement('div');
+    this._panels.loading.appendChild(loadingSlot);
+
+    this._panels.content = createElement('div');
+    this._panels.content.appendChild(createElement('slot'));
+
+    // Fallback text is filled in once the locale is known
+    this._panels.denied = createElement('div');
+    this._deniedSlot = createElement('slot');
+    this._deniedSlot.name = 'denied';
+    this._panels.denied.appendChild(this._deniedSlot);
+
+    Object.entries(this._panels).forEach(([name, panel]) => {
+      panel.setAttribute('part', name);
+      panel.hidden = name !== 'loading';
+      root.appendChild(panel);
+    });
+  }
+
+  connectedCallback() {
+    // Re-check when the session starts or ends, here or in another tab, and
+    // when the auth API is reachable again
+    const auth = getAuth();
+    const unsubscribeChange = auth.onChange((change) => {
+      if (change.type === 'login' || change.type === 'logout') {
+        this._check();
+      }
+    });
+    const unsubscribeOnline = auth.on('online', () => this._check());
+    this._unsubscribe = () => {
+      unsubscribeChange();
+      unsubscribeOnline();
+    };
+    this._check();
+  }
+
+  disconnectedCallback() {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+    this._checkId++;
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (this.isConnected && oldValue !== newValue) {
+      this._check();
+    }
+  }
+
+  async _check() {
+    const checkId = ++this._checkId;
+    const auth = getAuth();
+    const resourceId = this.getAttribute('resource') || auth.config.resourceId || null;
+    this._show('loading');
+
+    // Sends signed-out visitors to login and emits accessDenied; the denied slot
+    // takes the place of the built-in screen
+    const { user, allowed } = await auth.protect({ resourceId, renderDeniedScreen: false });
+    if (checkId !== this._checkId) return;
+
+    // Sent to login, or offline with no known answer (the 'online' event checks again)
+    if (!user || allowed === null) return;
+
+    if (!allowed) {
+      this._renderDeniedFallback(auth);
+    }
+    this._show(allowed ? 'content' : 'denied');
+    this.dispatchEvent(new CustomEvent(allowed ? 'inmapper-allowed' : 'inmapper-denied', {
+      detail: { user, resourceId },
+      bubbles: true,
+    }));
+  }
+
+  _renderDeniedFallback(auth) {
+    const text = ACCESS_DENIED_MESSAGES[resolveLocale(this.getAttribute('locale') || auth.config.locale)];
+    const fallback = createElement('div', 'denied');
+    fallback.appendChild(createElement('h2', null, text.title));
+    fallback.appendChild(createElement('p', null, text.description));
+    this._deniedSlot.replaceChildren(fallback);
+  }
+
+  _show(name) {
+    Object.entries(this._panels).forEach(([panelName, panel]) => {
+      panel.hidden = panelName !== name;
+    });
+    this.setAttribute('state', name === 'content' ? 'allowed' : name);
+  }
+}
+
+/**
+ * <inmapper-user>
+ * User chip with a menu to sign out, or a sign-in button when signed out.
+ * Attributes: locale, no-redirect (stay on the page after signing out).
+ */
+export class InmapperUserElement extends BaseElement {
+  constructor() {
+    super();
+    this._unsubscribe = null;
+    this._onDocumentClick = this._onDocumentClick.bind(this);
+    this._onKeyDown = this._onKeyDown.bind(this);
+
+    const root = this.attachShadow({ mode: 'open' });
+    root.appendChild(createElement('style', null, USER_STYLES));
+
+    this._chip = createElement('button', 'chip');
+    this._chip.type = 'button';
+    this._chip.setAttribute('part', 'chip');
+    this._chip.setAttribute('aria-haspopup', 'menu');
+    this._chip.setAttribute('aria-expanded', 'false');
+    this._avatar = createElement('span', 'avatar');
+    this._avatar.setAttribute('part', 'avatar');
+    this._name = createElement('span', 'name');
+    this._name.setAttribute('part', 'name');
+    this._chip.append(this._avatar, this._name);
+    this._chip.addEventListener('click', () => this._toggleMenu());
+
+    this._menu = createElement('div', 'menu');
+    this._menu.setAttribute('part', 'menu');
+    this._menu.setAttribute('role', 'menu');
+    this._email = createElement('div', 'email');
+    this._logout = createElement('button', 'logout');
+    this._logout.type = 'button';
+    this._logout.setAttribute('role', 'menuitem');
+    this._logout.addEventListener('click', () => {
+      this._toggleMenu(false);
+      getAuth().logout(!this.hasAttribute('no-redirect'));
+    });
+    this._menu.append(this._email, this._logout);
+
+    this._login = createElement('button', 'login');
+    this._login.type = 'button';
+    this._login.setAttribute('part', 'login');
+    this._login.addEventListener('click', () => getAuth().login());
+
+    // Nothing is shown until the first check finishes
+    this._chip.hidden = true;
+    this._menu.hidden = true;
+    this._login.hidden = true;
+    root.append(this._chip, this._menu, this._login);
+  }
+
+  connectedCallback() {
+    const auth = getAuth();
+    this._unsubscribe = auth.onChange((change) => this._render(change.user));
+    auth.getUser().then((user) => {
+      if (this.isConnected) this._render(user);
+    });
+    document.addEventListener('click', this._onDocumentClick);
+    document.addEventListener('keydown', this._onKeyDown);
+  }
+
+  disconnectedCallback() {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+    document.removeEventListener('click', this._onDocumentClick);
+    document.removeEventListener('keydown', this._onKeyDown);
+  }
+
+  _render(user) {
+    const text = ELEMENT_MESSAGES[resolveLocale(this.getAttribute('locale') || getAuth().config.locale)];
+    const label = user ? user.name || user.email || '' : '';
+
+    this._avatar.textContent = label.charAt(0).toUpperCase();
+    this._name.textContent = label;
+    this._email.textContent = user?.email || '';
+    this._logout.textContent = text.logout;
+    this._login.textContent = text.login;
+
+    this._chip.hidden = !user;
+    this._login.hidden = !!user;
+    if (!user) this._toggleMenu(false);
+  }
+
+  _toggleMenu(open = this._menu.hidden) {
+    this._menu.hidden = !open;
+    this._chip.setAttribute('aria-expanded', String(open));
+  }
+
+  _onDocumentClick(event) {
+    if (!event.composedPath().includes(this)) {
+      this._toggleMenu(false);
+    }
+  }
+
+  _onKeyDown(event) {
+    if (event.key === 'Escape') {
+      this._toggleMenu(false);
+    }
+  }
+}
+
+if (typeof customElements !== 'undefined') {
+  if (!customElements.get('inmapper-protect')) {
+    customElements.define('inmapper-protect', InmapperProtectElement);
+  }
+  if (!customElements.get('inmapper-user')) {
+    customElements.define('inmapper-user', InmapperUserElement);
+  }
+}
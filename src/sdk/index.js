@@ -0,0 +1,39 @@
+/**
+ * Inmapper Auth SDK - ES Module Version
+ *
+ * Usage:
+ *   import { InmapperAuth } from 'https://inmapper-otp.netlify.app/sdk/inmapper-auth.esm.js';
+ *
+ * React bindings live in a separate entry:
+ *   import { useInmapperAuth } from 'https://inmapper-otp.netlify.app/sdk/react/useInmapperAuth.js';
+ */
+
+import { InmapperAuth } from './InmapperAuth.js';
+
+export { InmapperAuth };
+export { storageAdapters, resolveStorage } from './storage.js';
+export { createLoginState, takeCallbackCode, exchangeCallbackCode, codeCallbackUrl } from './callback.js';
+export { createAxiosInterceptors, createKyHooks } from './interceptors.js';
+export { connectServiceWorker } from './serviceWorker.js';
+export { renderAccessDenied, resolveLocale, ACCESS_DENIED_MESSAGES } from './accessDenied.js';
+export {
+  EVENTS,
+  POPUP_MESSAGE_TYPE,
+  SILENT_READY_TYPE,
+  SILENT_REQUEST_TYPE,
+  SILENT_RESULT_TYPE,
+  SW_STATE_TYPE,
+  SW_STATE_REQUEST_TYPE,
+} from './config.js';
+
+// Singleton instance for simple usage
+let _instance = null;
+
+export function getAuth(config) {
+  if (!_instance) {
+    _instance = new InmapperAuth(config);
+  }
+  return _instance;
+}
+
+export default InmapperAuth;
@@ -0,0 +1,95 @@
+// Interceptors for axios and ky that behave like auth.fetch(): attach the
+// token, hold requests while a refresh is in flight and, on a 401, refresh
+// once and retry before falling back to the login flow. Requests that carry
+// their own Authorization header are left alone.
+
+function getHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name) || null;
+  return headers[name] || headers[name.toLowerCase()] || null;
+}
+
+function setHeader(headers, name, value) {
+  if (typeof headers.set === 'function') {
+    headers.set(name, value);
+  } else {
+    headers[name] = value;
+  }
+}
+
+/**
+ * Add the token to an axios instance's requests and recover from 401s
+ *   const eject = createAxiosInterceptors(auth, axios);
+ * @param {InmapperAuth} auth
+ * @param {Object} instance - axios or an instance from axios.create()
+ * @returns {Function} Removes both interceptors
+ */
+export function createAxiosInterceptors(auth, instance) {
+  const requestId = instance.interceptors.request.use(async (config) => {
+    const token = await auth.getAccessToken();
+    config.headers = config.headers || {};
+    if (!getHeader(config.headers, 'Authorization')) {
+      if (token) setHeader(config.headers, 'Authorization', `Bearer ${token}`);
+      config._inmapperToken = token;
+    }
+    return config;
+  });
+
+  const responseId = instance.interceptors.response.use(null, async (error) => {
+    const { config, response } = error;
+    if (!config || config._inmapperToken === undefined || !response || response.status !== 401) {
+      throw error;
+    }
+
+    const retried = !!config._inmapperRetry;
+    if (await auth.handleUnauthorized(config._inmapperToken, retried)) {
+      config._inmapperRetry = true;
+      config._inmapperToken = auth.getToken();
+      setHeader(config.headers, 'Authorization', `Bearer ${config._inmapperToken}`);
+      return instance(config);
+    }
+    throw error;
+  });
+
+  return () => {
+    instance.interceptors.request.eject(requestId);
+    instance.interceptors.response.eject(responseId);
+  };
+}
+
+/**
+ * Hooks for ky that add the token and recover from 401s
+ *   const api = ky.extend({ hooks: createKyHooks(auth, ky) });
+ * @param {InmapperAuth} auth
+ * @param {Function} ky - The default ky export, used to send the retry
+ * @returns {{ beforeRequest: Function[], afterResponse: Function[] }}
+ */
+export function createKyHooks(auth, ky) {
+  const sentTokens = new WeakMap(); // Request -> token attached by beforeRequest
+
+  return {
+    beforeRequest: [
+      async (request) => {
+        const token = await auth.getAccessToken();
+        if (!request.headers.has('Authorization')) {
+          if (token) request.headers.set('Authorization', `Bearer ${token}`);
+          sentTokens.set(request, token);
+        }
+      },
+    ],
+    afterResponse: [
+      async (request, options, response) => {
+        if (response.status !== 401 || !sentTokens.has(request)) return response;
+        if (!(await auth.handleUnauthorized(sentTokens.get(request)))) return response;
+
+        request.headers.set('Authorization', `Bearer ${auth.getToken()}`);
+        // Sent without these hooks; the caller's instance still reports HTTP errors
+        const retry = await ky(request, { retry: 0, throwHttpErrors: false });
+        if (retry.status === 401) {
+          await auth.handleUnauthorized(auth.getToken(), true);
+        }
+        return retry;
+      },
+    ],
+  };
+}
@@ -0,0 +1,207 @@
+/**
+ * Inmapper Auth SDK - Next.js Helpers
+ * Protects routes in middleware and reads the user in server components.
+ * The browser side must keep the session in cookies so both ends see it:
+ *   <InmapperAuthProvider config={{ storage: 'cookie' }} initialUser={user}>
+ *
+ * Usage:
+ *   // lib/inmapper.js
+ *   import { createInmapperNext } from './inmapper-auth-next.js';
+ *   export const inmapper = createInmapperNext();
+ *
+ *   // middleware.js
+ *   export const middleware = inmapper.middleware({ resourceId: 'harita-editoru' });
+ *   export const config = { matcher: ['/dashboard/:path*'] };
+ *
+ *   // app/dashboard/page.jsx
+ *   import { cookies } from 'next/headers';
+ *   const user = await inmapper.getServerUser(cookies());
+ */
+
+import { DEFAULT_CONFIG } from './config.js';
+import { parseCookie, serializeCookie } from './storage.js';
+import { createState, exchangeCallbackCode } from './callback.js';
+import { createInmapperServer } from './server.js';
+
+const DEFAULT_OPTIONS = {
+  apiUrl: DEFAULT_CONFIG.apiUrl,
+  loginUrl: DEFAULT_CONFIG.loginUrl,
+  tokenKey: DEFAULT_CONFIG.tokenKey,
+  userKey: DEFAULT_CONFIG.userKey,
+  refreshTokenKey: DEFAULT_CONFIG.refreshTokenKey,
+  expiresKey: DEFAULT_CONFIG.expiresKey,
+  stateKey: DEFAULT_CONFIG.stateKey,
+  tokenEndpoint: DEFAULT_CONFIG.tokenEndpoint,
+  acceptUnsolicitedCodes: false,
+  resourceId: null,
+  accessDeniedUrl: null, // Redirect target when resourceId is denied, 403 when null
+  cookieOptions: {}, // Must match the browser's cookieOptions
+  stateMaxAge: 600, // seconds a login started by the middleware stays valid
+  cacheTtl: 30000,
+};
+
+function redirect(location, cookies = []) {
+  const headers = new Headers({ Location: String(location) });
+  cookies.forEach(cookie => headers.append('Set-Cookie', cookie));
+  return new Response(null, { status: 307, headers });
+}
+
+// Accepts next/headers cookies() (sync or async), request.cookies or a raw Cookie header
+async function readCookie(cookies, key) {
+  const store = await cookies;
+  if (!store) return null;
+  if (typeof store === 'string') return parseCookie(store, key);
+  return store.get(key)?.value ?? null;
+}
+
+export function createInmapperNext(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const verifier = createInmapperServer({ apiUrl: config.apiUrl, cacheTtl: config.cacheTtl });
+
+  const cookie = (url, key, value, maxAge = null) => serializeCookie(key, value, {
+    secure: url.protocol === 'https:',
+    ...config.cookieOptions,
+    ...(maxAge !== null ? { maxAge } : {}),
+  });
+
+  const clearSession = (url) => [config.tokenKey, config.userKey, config.refreshTokenKey, config.expiresKey]
+    .map(key => cookie(url, key, '', 0));
+
+  function redirectToLogin(url, cookies = []) {
+    const state = createState();
+    const loginUrl = `${config.loginUrl}?callback=${encodeURIComponent(url.href)}&state=${state}`;
+    return redirect(loginUrl, [...cookies, cookie(url, config.stateKey, state, config.stateMaxAge)]);
+  }
+
+  // Returning from login: exchange the code here so the first render is signed in.
+  // Returns null for codes this middleware did not ask for.
+  async function handleCallback(url, cookieHeader) {
+    const code = url.searchParams.get('code');
+    const state = url.searchParams.get('state');
+    const expectedState = parseCookie(cookieHeader, config.stateKey);
+
+    // Logins started in the browser keep their state in sessionStorage and are
+    // finished by the SDK, but only on pages the session cookie already opens
+    if (state && !expectedState) return null;
+
+    url.searchParams.delete('code');
+    url.searchParams.delete('state');
+    const cookies = [cookie(url, config.stateKey, '', 0)];
+
+    const stateValid = state ? state === expectedState : config.acceptUnsolicitedCodes;
+    if (!stateValid) {
+      return redirectToLogin(url, cookies);
+    }
+
+    let data;
+    try {
+      data = await exchangeCallbackCode(config, code, url.href);
+    } catch (error) {
+      console.error('[InmapperAuth] Callback error:', error);
+      if (error.network) {
+        return new Response('Auth service unavailable', { status: 503 });
+      }
+      return redirectToLogin(url, cookies);
+    }
+
+    cookies.push(cookie(url, config.tokenKey, data.token));
+    if (data.user) {
+      cookies.push(cookie(url, config.userKey, JSON.stringify(data.user)));
+    }
+    if (data.refreshToken) {
+      cookies.push(cookie(url, config.refreshTokenKey, data.refreshToken));
+    }
+    const expiresAt = data.expiresAt
+      ? new Date(data.expiresAt).getTime()
+      : data.expiresIn && Date.now() + data.expiresIn * 1000;
+    if (expiresAt) {
+      cookies.push(cookie(url, config.expiresKey, String(expiresAt)));
+    }
+
+    return redirect(url, cookies);
+  }
+
+  /**
+   * Next.js middleware that sends signed-out visitors to loginUrl with a callback
+   * Returns nothing for allowed requests so Next.js continues rendering.
+   * @param {Object} middlewareOptions
+   * @param {string} middlewareOptions.resourceId - Also require access to this resource
+   * @returns {Function}
+   */
+  function middleware(middlewareOptions = {}) {
+    const resourceId = middlewareOptions.resourceId || config.resourceId;
+
+    return async (request) => {
+      const url = new URL(request.url);
+      const cookieHeader = request.headers.get('cookie') || '';
+
+      if (url.searchParams.has('code')) {
+        const response = await handleCallback(url, cookieHeader);
+        if (response) return response;
+        // A stray code must not end up in the login callback
+        url.searchParams.delete('code');
+        url.searchParams.delete('state');
+      }
+
+      const token = parseCookie(cookieHeader, config.tokenKey);
+      if (!token) {
+        return redirectToLogin(url);
+      }
+
+      let result;
+      try {
+        result = await verifier.verify(token, resourceId);
+      } catch (error) {
+        console.error('[InmapperAuth] Validation error:', error);
+        return new Response('Auth service unavailable', { status: 503 });
+      }
+
+      if (!result.valid) {
+        return redirectToLogin(url, clearSession(url));
+      }
+
+      if (resourceId && !result.hasResourceAccess) {
+        return config.accessDeniedUrl
+          ? redirect(new URL(config.accessDeniedUrl, url))
+          : new Response('Access denied', { status: 403 });
+      }
+
+      return undefined;
+    };
+  }
+
+  /**
+   * Read the session token in a server component or route handler
+   * @param {Object|string} cookies - cookies() from next/headers, request.cookies or a Cookie header
+   * @returns {Promise<string|null>}
+   */
+  function getServerToken(cookies) {
+    return readCookie(cookies, config.tokenKey);
+  }
+
+  /**
+   * Validate the session cookie and return the user
+   * @param {Object|string} cookies - Same as getServerToken()
+   * @returns {Promise<Object|null>} User, or null when signed out, invalid or the API is down
+   */
+  async function getServerUser(cookies) {
+    const token = await getServerToken(cookies);
+    if (!token) return null;
+
+    try {
+      const result = await verifier.verify(token);
+      return result.valid ? result.user : null;
+    } catch (error) {
+      console.error('[InmapperAuth] Validation error:', error);
+      return null;
+    }
+  }
+
+  return {
+    middleware,
+    getServerToken,
+    getServerUser,
+  };
+}
+
+export default createInmapperNext;
@@ -0,0 +1,213 @@
+/**
+ * Inmapper Auth - React Hook
+ * 
+ * Usage:
+ *   import { useInmapperAuth, InmapperAuthProvider } from 'https://inmapper-otp.netlify.app/sdk/react/useInmapperAuth.js';
+ * 
+ *   // In App.jsx
+ *   <InmapperAuthProvider>
+ *     <App />
+ *   </InmapperAuthProvider>
+ * 
+ *   // In any component
+ *   const { user, loading, isAuthenticated, login, logout } = useInmapperAuth();
+ */
+
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { InmapperAuth } from '../index.js';
+
+const AuthContext = createContext(null);
+
+// true or false, or null while offline with no known answer (see offlineGracePeriod)
+const accessOf = result => (result && result.hasResourceAccess === null ? null : !!result && result.hasResourceAccess === true);
+
+export function InmapperAuthProvider({
+  children,
+  config = {},
+  protect = false,
+  resourceId = config.resourceId || null,
+  initialUser = null,
+  onChange = null,
+}) {
+  // One SDK instance per provider; config is read on mount only
+  const authRef = useRef(null);
+  if (!authRef.current) {
+    authRef.current = new InmapperAuth(config);
+  }
+  const auth = authRef.current;
+  // A user read on the server (see inmapper-auth-next.js) renders signed in right away
+  const [user, setUser] = useState(initialUser);
+  const [token, setTokenState] = useState(null);
+  const [loading, setLoading] = useState(!initialUser);
+  // null when no resourceId is set or while offline with no known answer,
+  // otherwise whether the user may open it
+  const [hasResourceAccess, setHasResourceAccess] = useState(null);
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+  const mountedRef = useRef(false);
+
+  // Destroy only on a real unmount. StrictMode and resourceId changes re-run the
+  // effect right after its cleanup; destroying there would drop an in-flight login
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+      Promise.resolve().then(() => {
+        if (!mountedRef.current) auth.destroy();
+      });
+    };
+  }, [auth]);
+
+  useEffect(() => {
+    let active = true;
+    let initialized = false;
+
+    const checkAccess = async () => {
+      const result = await auth.getUser(false, resourceId);
+      if (!active) return;
+      setHasResourceAccess(accessOf(result));
+    };
+
+    // The SDK handles validation, refresh and tab sync; mirror its state here
+    const unsubscribe = auth.onChange((change) => {
+      setTokenState(change.token);
+      setUser(change.user);
+      if (resourceId && initialized) {
+        if (change.type === 'logout') setHasResourceAccess(false);
+        else if (change.type === 'login') checkAccess();
+      }
+      if (onChangeRef.current) {
+        onChangeRef.current(change);
+      }
+    });
+
+    const init = async () => {
+      let currentUser;
+      let access = null;
+
+      if (resourceId) {
+        const result = await auth.getUser(false, resourceId);
+        currentUser = result ? result.user : null;
+        access = accessOf(result);
+        // Redirects to login or shows the access-denied screen, like the vanilla SDK.
+        // Permission is cached, so this does not ask the server again.
+        if (protect && (!result || access === false)) {
+          await auth.protect({ resourceId });
+        }
+      } else if (protect) {
+        currentUser = await auth.protect();
+      } else {
+        currentUser = await auth.getUser();
+      }
+
+      if (!active) return;
+      initialized = true;
+      setTokenState(auth.getToken());
+      setUser(currentUser);
+      setHasResourceAccess(access);
+      setLoading(false);
+    };
+
+    init();
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [auth, resourceId]);
+
+  const login = useCallback((callbackUrl = null) => auth.login(callbackUrl), [auth]);
+  const loginWithPopup = useCallback((options) => auth.loginWithPopup(options), [auth]);
+  const logout = useCallback((redirect = false) => auth.logout(redirect), [auth]);
+  const setToken = useCallback((newToken) => auth.setToken(newToken), [auth]);
+  const authFetch = useCallback((url, options) => auth.fetch(url, options), [auth]);
+
+  const value = {
+    auth,
+    user,
+    token,
+    loading,
+    isAuthenticated: !!user,
+    resourceId,
+    hasResourceAccess,
+    login,
+    loginWithPopup,
+    logout,
+    setToken,
+    fetch: authFetch,
+  };
+
+  return React.createElement(AuthContext.Provider, { value }, children);
+}
+
+export function useInmapperAuth() {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useInmapperAuth must be used within InmapperAuthProvider');
+  }
+  return context;
+}
+
+/**
+ * Check access to a resource for the signed-in user
+ * Reuses the provider's result when resourceId matches its own.
+ * @param {string} resourceId
+ * @returns {{ loading: boolean, allowed: boolean, denied: boolean }}
+ */
+export function usePermission(resourceId) {
+  const {
+    auth,
+    user,
+    loading: authLoading,
+    resourceId: providerResourceId,
+    hasResourceAccess,
+  } = useInmapperAuth();
+  const [checked, setChecked] = useState({ key: null, allowed: false });
+  const shared = !!resourceId && resourceId === providerResourceId;
+  const userKey = user ? user.id || user.email : null;
+  const key = `${resourceId}:${userKey}`;
+
+  useEffect(() => {
+    if (authLoading || shared || !userKey) return undefined;
+
+    let active = true;
+    auth.hasPermission(resourceId).then((allowed) => {
+      if (active) setChecked({ key, allowed });
+    });
+    return () => {
+      active = false;
+    };
+  }, [auth, authLoading, shared, resourceId, userKey, key]);
+
+  let loading = false;
+  let allowed = false;
+  if (authLoading) {
+    loading = true;
+  } else if (!user) {
+    allowed = false;
+  } else if (shared) {
+    allowed = hasResourceAccess === true;
+  } else if (checked.key === key) {
+    allowed = checked.allowed;
+  } else {
+    loading = true;
+  }
+
+  return { loading, allowed, denied: !loading && !allowed };
+}
+
+/**
+ * Render children only when the user may access the resource
+ *
+ *   <RequirePermission resourceId="admin-panel" fallback={<NoAccess />}>
+ *     <AdminPanel />
+ *   </RequirePermission>
+ */
+export function RequirePermission({ resourceId, fallback = null, loadingFallback = null, children }) {
+  const { loading, allowed } = usePermission(resourceId);
+
+  if (loading) return loadingFallback;
+  return allowed ? children : fallback;
+}
+
+export default useInmapperAuth;
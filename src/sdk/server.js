@@ -0,0 +1,207 @@
+/**
+ * Inmapper Auth SDK - Node Version
+ * Verifies bearer tokens sent by auth.fetch() against /auth/validate.
+ * Needs Node 18+ (global fetch).
+ *
+ * Usage (Express / Connect):
+ *   import { createInmapperServer } from './inmapper-auth-server.js';
+ *
+ *   const inmapper = createInmapperServer({ apiUrl: process.env.INMAPPER_API_URL });
+ *   app.use(inmapper.middleware());
+ *   app.get('/reports', inmapper.requireResource('raporlar'), (req, res) => res.json(req.user));
+ */
+
+import { DEFAULT_CONFIG } from './config.js';
+
+const DEFAULT_OPTIONS = {
+  apiUrl: DEFAULT_CONFIG.apiUrl,
+  validateEndpoint: '/auth/validate',
+  cacheTtl: 30000, // ms to reuse a validation result, 0 to disable
+  cacheSize: 1000, // Max cached results, oldest are dropped first
+  timeout: 5000, // ms before a validation request is abandoned
+};
+
+/**
+ * Read the token from an `Authorization: Bearer <token>` header
+ * @param {Object} req - Node/Express request
+ * @returns {string|null}
+ */
+export function getBearerToken(req) {
+  const header = req.headers && req.headers.authorization;
+  if (!header) return null;
+
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  return match ? match[1].trim() : null;
+}
+
+function sendError(res, status, error) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify({ error }));
+}
+
+export function createInmapperServer(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const getToken = config.getToken || getBearerToken;
+  const cache = new Map(); // `${resourceId}|${token}` -> { result, expiresAt }
+
+  function readCache(key) {
+    const entry = cache.get(key);
+    if (!entry) return null;
+
+    if (Date.now() >= entry.expiresAt) {
+      cache.delete(key);
+      return null;
+    }
+    return entry.result;
+  }
+
+  function writeCache(key, result) {
+    if (!config.cacheTtl) return;
+
+    if (cache.size >= config.cacheSize) {
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, { result, expiresAt: Date.now() + config.cacheTtl });
+  }
+
+  /**
+   * Validate a token, optionally checking access to a resource
+   * Rejects with error.network = true when the auth API cannot be reached
+   * or fails, so callers can tell an outage apart from a bad token.
+   * @param {string} token
+   * @param {string} resourceId
+   * @returns {Promise<{ valid: boolean, user: Object|null, hasResourceAccess?: boolean }>}
+   */
+  async function verify(token, resourceId = null) {
+    const key = `${resourceId || ''}|${token}`;
+    const cached = readCache(key);
+    if (cached) return cached;
+
+    const body = { token };
+    if (resourceId) {
+      body.resource = resourceId;
+    }
+
+    let response;
+    let text;
+    try {
+      response = await fetch(`${config.apiUrl}${config.validateEndpoint}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+        signal: config.timeout ? AbortSignal.timeout(config.timeout) : undefined,
+      });
+      text = await response.text();
+    } catch (error) {
+      error.network = true;
+      throw error;
+    }
+
+    // Only an unreachable or failing API is an outage; any other unreadable answer rejects the token
+    let data;
+    try {
+      data = JSON.parse(text) || {};
+    } catch (error) {
+      data = {};
+    }
+
+    if (response.status >= 500) {
+      const error = new Error(data.error || `Auth API responded with ${response.status}`);
+      error.network = true;
+      error.status = response.status;
+      throw error;
+    }
+
+    const result = {
+      valid: !!(data.valid && data.user),
+      user: data.valid ? data.user || null : null,
+    };
+    if (resourceId) {
+      result.hasResourceAccess = result.valid && data.hasResourceAccess === true;
+    }
+
+    writeCache(key, result);
+    return result;
+  }
+
+  // Shared by middleware() and requireResource(): verify, set req.user, or answer with an error
+  async function authenticate(req, res, resourceId) {
+    const token = getToken(req);
+    if (!token) {
+      sendError(res, 401, 'Authentication required');
+      return null;
+    }
+
+    let result;
+    try {
+      result = await verify(token, resourceId);
+    } catch (error) {
+      console.error('[InmapperAuth] Validation error:', error);
+      sendError(res, 503, 'Auth service unavailable');
+      return null;
+    }
+
+    if (!result.valid) {
+      sendError(res, 401, 'Invalid token');
+      return null;
+    }
+
+    req.user = result.user;
+    req.auth = { token, user: result.user };
+    return result;
+  }
+
+  /**
+   * Express/Connect middleware that sets req.user and req.auth
+   * Answers 401 without a valid token and 503 when the auth API is down.
+   * @param {Object} middlewareOptions
+   * @param {boolean} middlewareOptions.optional - Continue without req.user instead of answering 401
+   * @returns {Function}
+   */
+  function middleware(middlewareOptions = {}) {
+    const { optional = false } = middlewareOptions;
+
+    return async (req, res, next) => {
+      if (optional && !getToken(req)) {
+        req.user = null;
+        next();
+        return;
+      }
+
+      if (await authenticate(req, res, null)) {
+        next();
+      }
+    };
+  }
+
+  /**
+   * Guard that only lets users with access to the resource through
+   * Works on its own or after middleware(); answers 403 when access is missing.
+   * @param {string} resourceId
+   * @returns {Function}
+   */
+  function requireResource(resourceId) {
+    return async (req, res, next) => {
+      const result = await authenticate(req, res, resourceId);
+      if (!result) return;
+
+      if (!result.hasResourceAccess) {
+        sendError(res, 403, 'Access denied');
+        return;
+      }
+      next();
+    };
+  }
+
+  return {
+    verify,
+    middleware,
+    requireResource,
+    clearCache: () => cache.clear(),
+  };
+}
+
+export default createInmapperServer;
@@ -0,0 +1,69 @@
+// Page side of the token service worker (sw.js): keeps the worker's copy of
+// the token current across refreshes, logins in other tabs and logout.
+
+import { SW_STATE_TYPE, SW_STATE_REQUEST_TYPE } from './config.js';
+
+/**
+ * Let the Inmapper service worker add the token to matching requests
+ * @param {InmapperAuth} auth
+ * @param {Object} options
+ * @param {Array<string|RegExp>} options.patterns - URL prefixes (relative to the page) or RegExps matched against full URLs
+ * @param {string[]} options.origins - Other origins RegExp patterns may match; by default only the site's own
+ * @param {string} options.scriptUrl - Worker to register; omit when the site registers its own
+ * @param {Object} options.registerOptions - Passed to navigator.serviceWorker.register()
+ * @returns {Promise<Function>} Stops updating the worker
+ */
+export async function connectServiceWorker(auth, options = {}) {
+  const { patterns = [], origins = [], scriptUrl = null, registerOptions = {} } = options;
+  if (typeof navigator === 'undefined' || !navigator.serviceWorker) {
+    return () => {};
+  }
+
+  const container = navigator.serviceWorker;
+  const resolvedPatterns = patterns.map(pattern => (
+    typeof pattern === 'string' ? new URL(pattern, window.location.href).href : pattern
+  ));
+  const resolvedOrigins = origins.map(origin => new URL(origin).origin);
+  const getState = () => ({
+    type: SW_STATE_TYPE,
+    token: auth.getToken(),
+    patterns: resolvedPatterns,
+    origins: resolvedOrigins,
+  });
+
+  const post = () => {
+    if (container.controller) {
+      container.controller.postMessage(getState());
+    }
+  };
+
+  const onMessage = (event) => {
+    if (event.data && event.data.type === SW_STATE_REQUEST_TYPE && event.ports[0]) {
+      // The token is only known once the stored session has been loaded
+      auth.init().then(() => event.ports[0].postMessage(getState()));
+    }
+  };
+
+  container.addEventListener('message', onMessage);
+  container.addEventListener('controllerchange', post);
+  // addEventListener() alone leaves worker messages queued
+  container.startMessages();
+  const unsubscribe = auth.onChange(post);
+
+  if (scriptUrl) {
+    try {
+      await container.register(scriptUrl, registerOptions);
+    } catch (error) {
+      console.error('[InmapperAuth] Service worker error:', error);
+    }
+  }
+
+  await auth.init();
+  post();
+
+  return () => {
+    unsubscribe();
+    container.removeEventListener('message', onMessage);
+    container.removeEventListener('controllerchange', post);
+  };
+}
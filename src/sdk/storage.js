@@ -0,0 +1,90 @@
+// Storage adapters
+// An adapter is any object with synchronous getItem(key), setItem(key, value)
+// and removeItem(key) methods working on string values.
+
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => { items.set(key, String(value)); },
+    removeItem: (key) => { items.delete(key); },
+  };
+}
+
+export function createWebStorage(name) {
+  // Some embedded webviews block Web Storage entirely; fall back to memory
+  try {
+    const storage = globalThis[name];
+    const probe = '__inmapper_auth_probe__';
+    storage.setItem(probe, probe);
+    storage.removeItem(probe);
+    return storage;
+  } catch (error) {
+    console.warn(`[InmapperAuth] ${name} is not available, using in-memory storage`);
+    return createMemoryStorage();
+  }
+}
+
+// Cookie helpers, shared with the server-side helpers that read and set
+// the same cookies from request and response headers
+
+export function serializeCookie(key, value, options = {}) {
+  const {
+    path = '/',
+    domain = null,
+    sameSite = 'Lax',
+    secure = false,
+    maxAge = null, // seconds; session cookie when null
+  } = options;
+
+  let cookie = `${encodeURIComponent(key)}=${encodeURIComponent(value)}; path=${path}; SameSite=${sameSite}`;
+  if (domain) cookie += `; domain=${domain}`;
+  if (secure) cookie += '; Secure';
+  if (maxAge !== null) cookie += `; max-age=${maxAge}`;
+  return cookie;
+}
+
+export function parseCookie(cookieHeader, key) {
+  const prefix = `${encodeURIComponent(key)}=`;
+  const match = (cookieHeader || '').split(/;\s*/).find(row => row.startsWith(prefix));
+  return match ? decodeURIComponent(match.slice(prefix.length)) : null;
+}
+
+function createCookieStorage(options = {}) {
+  const cookieOptions = {
+    secure: typeof location !== 'undefined' && location.protocol === 'https:',
+    ...options,
+  };
+
+  return {
+    getItem: (key) => parseCookie(document.cookie, key),
+    setItem(key, value) {
+      document.cookie = serializeCookie(key, value, cookieOptions);
+    },
+    removeItem(key) {
+      document.cookie = serializeCookie(key, '', { ...cookieOptions, maxAge: 0 });
+    },
+  };
+}
+
+export const storageAdapters = {
+  local: () => createWebStorage('localStorage'),
+  session: () => createWebStorage('sessionStorage'),
+  memory: () => createMemoryStorage(),
+  cookie: (options) => createCookieStorage(options),
+};
+
+export function resolveStorage(storage, cookieOptions) {
+  if (storage && typeof storage === 'object') {
+    if (['getItem', 'setItem', 'removeItem'].every(method => typeof storage[method] === 'function')) {
+      return storage;
+    }
+    throw new Error('[InmapperAuth] Storage adapter must implement getItem, setItem and removeItem');
+  }
+
+  const factory = storageAdapters[storage || 'local'];
+  if (!factory) {
+    throw new Error(`[InmapperAuth] Unknown storage "${storage}"`);
+  }
+  return factory(cookieOptions);
+}
@@ -0,0 +1,121 @@
+/**
+ * Inmapper Auth SDK - Service Worker
+ * Adds the session token to requests matching the patterns passed to
+ * connectServiceWorker(), so map tiles and floor plans loaded by <img>
+ * work without tokens in the query string.
+ *
+ * Serve this file from your own origin and register it from the page:
+ *   connectServiceWorker(auth, { scriptUrl: '/inmapper-auth-sw.js', patterns: ['/tiles/'] });
+ * or load it from the site's existing worker:
+ *   importScripts('/inmapper-auth-sw.js');
+ */
+
+import { SW_STATE_TYPE, SW_STATE_REQUEST_TYPE } from './config.js';
+
+const STATE_REQUEST_TIMEOUT = 1000;
+
+let state = null; // { token, patterns, origins } sent by the page; null until known
+let statePromise = null;
+
+function matches(url, { patterns, origins }) {
+  const { origin } = new URL(url);
+  return patterns.some((pattern) => {
+    if (pattern instanceof RegExp) {
+      // A loose RegExp must not send the token to any host; other origins are opt-in
+      return (origin === self.location.origin || origins.includes(origin)) && pattern.test(url);
+    }
+    // Absolute prefixes name their origin; matched on path boundaries, so /tiles does not match /tiles-admin
+    const base = pattern.replace(/\/+$/, '');
+    return url === base || url.startsWith(`${base}/`) || url.startsWith(`${base}?`);
+  });
+}
+
+function withToken(request, token) {
+  const headers = new Headers(request.headers);
+  headers.set('Authorization', `Bearer ${token}`);
+  // no-cors requests (plain <img>) cannot carry the header; cross-origin APIs must allow CORS.
+  // credentials stay as the page asked for them
+  return new Request(request, { headers, mode: 'cors' });
+}
+
+// The browser stops idle workers, which loses the state; ask a page for it again
+async function requestState(clientId) {
+  const client = (clientId && await self.clients.get(clientId))
+    || (await self.clients.matchAll({ type: 'window' }))[0];
+  if (!client) return null;
+
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    const finish = (data) => {
+      clearTimeout(timer);
+      channel.port1.close();
+      resolve(data);
+    };
+    const timer = setTimeout(() => finish(null), STATE_REQUEST_TIMEOUT);
+    channel.port1.onmessage = event => finish(event.data);
+    client.postMessage({ type: SW_STATE_REQUEST_TYPE }, [channel.port2]);
+  });
+}
+
+function loadState(clientId) {
+  if (!statePromise) {
+    statePromise = requestState(clientId)
+      .catch(() => null)
+      .then((data) => {
+        // Pages that never connected do not answer; stop waiting on them until one does
+        if (!state) {
+          state = toState(data || {});
+        }
+      })
+      .finally(() => {
+        statePromise = null;
+      });
+  }
+  return statePromise;
+}
+
+function toState(data) {
+  return { token: data.token || null, patterns: data.patterns || [], origins: data.origins || [] };
+}
+
+function send(request) {
+  if (state.token && matches(request.url, state)) {
+    return fetch(withToken(request, state.token));
+  }
+  return fetch(request);
+}
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  // Take over open pages so their tiles are covered without a reload
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === SW_STATE_TYPE) {
+    state = toState(event.data);
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.mode === 'navigate' || request.headers.has('Authorization')) return;
+
+  if (!state) {
+    // Patterns are unknown until a page answers. Hold only same-origin requests for
+    // them so a site worker that imports this file still handles everything else
+    if (new URL(request.url).origin === self.location.origin) {
+      event.respondWith(loadState(event.clientId).then(() => send(request)));
+    } else {
+      event.waitUntil(loadState(event.clientId));
+    }
+    return;
+  }
+
+  if (state.token && matches(request.url, state)) {
+    event.respondWith(send(request));
+  }
+});
@@ -0,0 +1,28 @@
+// Type declarations for inmapper-auth-elements.js
+
+import type { InmapperUser } from './inmapper-auth.esm';
+
+export interface InmapperAccessEventDetail {
+  user: InmapperUser | null;
+  resourceId: string | null;
+}
+
+/** <inmapper-protect resource="..."> */
+export class InmapperProtectElement extends HTMLElement {
+  static readonly observedAttributes: string[];
+}
+
+/** <inmapper-user> */
+export class InmapperUserElement extends HTMLElement {}
+
+declare global {
+  interface HTMLElementTagNameMap {
+    'inmapper-protect': InmapperProtectElement;
+    'inmapper-user': InmapperUserElement;
+  }
+
+  interface HTMLElementEventMap {
+    'inmapper-allowed': CustomEvent<InmapperAccessEventDetail>;
+    'inmapper-denied': CustomEvent<InmapperAccessEventDetail>;
+  }
+}
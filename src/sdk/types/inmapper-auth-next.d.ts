@@ -0,0 +1,41 @@
+// Type declarations for inmapper-auth-next.js
+
+import type { InmapperUser, CookieOptions } from './inmapper-auth.esm';
+
+export interface InmapperNextOptions {
+  apiUrl?: string;
+  loginUrl?: string;
+  tokenKey?: string;
+  userKey?: string;
+  refreshTokenKey?: string;
+  expiresKey?: string;
+  stateKey?: string;
+  tokenEndpoint?: string;
+  acceptUnsolicitedCodes?: boolean;
+  resourceId?: string | null;
+  /** Redirect target when resourceId is denied, 403 when null */
+  accessDeniedUrl?: string | null;
+  /** Must match the browser's cookieOptions */
+  cookieOptions?: CookieOptions;
+  /** Seconds a login started by the middleware stays valid */
+  stateMaxAge?: number;
+  /** ms to reuse a validation result, 0 to disable */
+  cacheTtl?: number;
+}
+
+/** cookies() from next/headers, request.cookies or a raw Cookie header */
+export type CookieSource =
+  | { get(name: string): { value: string } | undefined }
+  | Promise<{ get(name: string): { value: string } | undefined }>
+  | string
+  | null
+  | undefined;
+
+export interface InmapperNext {
+  middleware(options?: { resourceId?: string }): (request: Request) => Promise<Response | undefined>;
+  getServerToken(cookies: CookieSource): Promise<string | null>;
+  getServerUser(cookies: CookieSource): Promise<InmapperUser | null>;
+}
+
+export function createInmapperNext(options?: InmapperNextOptions): InmapperNext;
+export default createInmapperNext;
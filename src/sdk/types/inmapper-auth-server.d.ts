@@ -0,0 +1,49 @@
+// Type declarations for inmapper-auth-server.js
+
+import type { IncomingMessage, ServerResponse } from 'node:http';
+import type { InmapperUser } from './inmapper-auth.esm';
+
+export interface InmapperServerOptions {
+  apiUrl?: string;
+  validateEndpoint?: string;
+  /** ms to reuse a validation result, 0 to disable */
+  cacheTtl?: number;
+  /** Max cached results, oldest are dropped first */
+  cacheSize?: number;
+  /** ms before a validation request is abandoned, 0 for no limit */
+  timeout?: number;
+  /** Defaults to reading `Authorization: Bearer <token>` */
+  getToken?: (req: IncomingMessage) => string | null;
+}
+
+export interface VerifyResult {
+  valid: boolean;
+  user: InmapperUser | null;
+  /** Present when a resourceId was checked */
+  hasResourceAccess?: boolean;
+}
+
+export interface InmapperRequestAuth {
+  token: string;
+  user: InmapperUser;
+}
+
+declare module 'node:http' {
+  interface IncomingMessage {
+    user?: InmapperUser | null;
+    auth?: InmapperRequestAuth;
+  }
+}
+
+export type Middleware = (req: IncomingMessage, res: ServerResponse, next: (error?: unknown) => void) => Promise<void>;
+
+export interface InmapperServer {
+  verify(token: string, resourceId?: string | null): Promise<VerifyResult>;
+  middleware(options?: { optional?: boolean }): Middleware;
+  requireResource(resourceId: string): Middleware;
+  clearCache(): void;
+}
+
+export function getBearerToken(req: IncomingMessage): string | null;
+export function createInmapperServer(options?: InmapperServerOptions): InmapperServer;
+export default createInmapperServer;
@@ -0,0 +1,10 @@
+// Type declarations for the UMD bundle, inmapper-auth.js
+// Config, user and event types are exported from ./inmapper-auth.esm
+
+import { InmapperAuth } from './inmapper-auth.esm';
+
+// require() returns the class itself, with the class also under .InmapperAuth
+declare const InmapperAuthUMD: typeof InmapperAuth & { InmapperAuth: typeof InmapperAuth };
+
+export = InmapperAuthUMD;
+export as namespace InmapperAuth;
@@ -0,0 +1,324 @@
+// Type declarations for inmapper-auth.esm.js
+
+export interface InmapperUser {
+  id: string;
+  email: string;
+  name?: string;
+  isAdmin?: boolean;
+  isVerified?: boolean;
+  [key: string]: unknown;
+}
+
+/** Synchronous key/value store used for the session, see InmapperAuth.storage */
+export interface StorageAdapter {
+  getItem(key: string): string | null;
+  setItem(key: string, value: string): void;
+  removeItem(key: string): void;
+}
+
+export interface CookieOptions {
+  path?: string;
+  domain?: string | null;
+  sameSite?: 'Strict' | 'Lax' | 'None';
+  secure?: boolean;
+  /** Seconds; session cookie when null */
+  maxAge?: number | null;
+}
+
+export type AccessDeniedMessages = Record<
+  | 'title'
+  | 'description'
+  | 'signedInAs'
+  | 'unknownUser'
+  | 'back'
+  | 'requestAccess'
+  | 'requestSending'
+  | 'requestSent'
+  | 'requestFailed'
+  | 'support',
+  string
+>;
+
+export interface AccessDeniedTheme {
+  primaryColor?: string;
+  titleColor?: string;
+  textColor?: string;
+  mutedColor?: string;
+  cardColor?: string;
+  /** Any CSS background, e.g. a gradient */
+  background?: string;
+  fontFamily?: string;
+}
+
+export interface AccessDeniedScreenOptions extends AccessDeniedTheme {
+  logoUrl?: string | null;
+  supportEmail?: string | null;
+  supportUrl?: string | null;
+  messages?: Partial<AccessDeniedMessages>;
+  /** false hides the "request access" button */
+  requestAccess?: boolean;
+}
+
+export interface RenderAccessDeniedOptions extends Omit<AccessDeniedScreenOptions, 'requestAccess'> {
+  user?: InmapperUser | null;
+  locale?: string | null;
+  /** Shows a "request access" button; resolve to true once delivered */
+  onRequestAccess?: (() => Promise<boolean>) | null;
+}
+
+export type StorageOption = 'local' | 'session' | 'memory' | 'cookie' | StorageAdapter;
+
+export interface InmapperAuthConfig {
+  apiUrl?: string;
+  loginUrl?: string;
+  tokenKey?: string;
+  userKey?: string;
+  refreshTokenKey?: string;
+  expiresKey?: string;
+  validatedAtKey?: string;
+  /** Storage key for the last known resource access, kept for offlineGracePeriod */
+  permissionsKey?: string;
+  /** Storage key invalidatePermissions() writes for tabs without BroadcastChannel */
+  permissionsResetKey?: string;
+  stateKey?: string;
+  storage?: StorageOption;
+  cookieOptions?: CookieOptions;
+  autoRedirect?: boolean;
+  autoRefresh?: boolean;
+  refreshEndpoint?: string;
+  codeEndpoint?: string;
+  permissionsEndpoint?: string;
+  accessRequestEndpoint?: string;
+  tokenEndpoint?: string;
+  acceptUnsolicitedCodes?: boolean;
+  silentAuth?: boolean;
+  silentAuthUrl?: string;
+  silentAuthTimeout?: number;
+  baseUrl?: string | null;
+  fetchTimeout?: number;
+  refreshMargin?: number;
+  refreshRetryDelay?: number;
+  /** ms to reuse a resource permission result, 0 to always ask the server */
+  permissionCacheTtl?: number;
+  /** ms to trust the last validated user while the auth API is unreachable, 0 to disable */
+  offlineGracePeriod?: number;
+  syncTabs?: boolean;
+  channelName?: string;
+  resourceId?: string | null;
+  /** 'tr' | 'en' for built-in screens; defaults to the browser language */
+  locale?: string | null;
+  accessDeniedScreen?: AccessDeniedScreenOptions;
+  onAuthRequired?: (() => void) | null;
+  onAuthSuccess?: ((user: InmapperUser | null) => void) | null;
+  onAuthError?: ((error: Error) => void) | null;
+  onAccessDenied?: ((user: InmapperUser | null) => void) | null;
+  onRequestAccess?: ((user: InmapperUser | null, resourceId: string | null) => Promise<boolean | void> | boolean | void) | null;
+  onSessionExpired?: ((error: Error) => void) | null;
+}
+
+export type ChangeType = 'login' | 'logout' | 'token' | 'user';
+export type LogoutReason = 'logout' | 'expired' | 'invalid';
+
+export interface ChangeDetail {
+  type: ChangeType;
+  user: InmapperUser | null;
+  token: string | null;
+  remote: boolean;
+}
+
+export interface InmapperAuthEvents {
+  login: { user: InmapperUser | null; remote: boolean };
+  logout: { reason: LogoutReason; remote: boolean };
+  tokenChanged: { token: string; expiresAt: number | null; remote: boolean };
+  validationFailed: { error: Error };
+  sessionExpired: { error: Error; reason: LogoutReason };
+  accessDenied: { user: InmapperUser | null; resourceId: string | null };
+  networkError: { error: Error; operation: 'validate' | 'refresh' | 'exchange' | 'logout' | 'code' | 'permissions' | 'accessRequest' };
+  offline: { error: Error | null; until: number };
+  online: Record<string, never>;
+  change: ChangeDetail;
+}
+
+export type InmapperAuthEvent = keyof InmapperAuthEvents;
+
+export interface PermissionResult {
+  user: InmapperUser;
+  /** null while offline with no known answer for the resource */
+  hasResourceAccess: boolean | null;
+  /** Set when the answer comes from the offline grace period */
+  offline?: true;
+}
+
+export interface ProtectOptions {
+  /** Overrides config.resourceId for this check */
+  resourceId?: string | null;
+  /** Where login returns to; defaults to the current page */
+  callbackUrl?: string | null;
+  /** false skips the built-in access-denied screen and resolves to ProtectResult */
+  renderDeniedScreen?: boolean;
+}
+
+export interface ProtectResult {
+  /** null when signed out; login has been started (or onAuthRequired called) */
+  user: InmapperUser | null;
+  /** null while offline with no known answer for the resource */
+  allowed: boolean | null;
+}
+
+export interface InmapperResource {
+  id: string;
+  name: string;
+  description?: string;
+  url?: string;
+}
+
+export interface PopupLoginOptions {
+  width?: number;
+  height?: number;
+  /** ms to wait for the user, 0 for no limit */
+  timeout?: number;
+}
+
+export interface AuthFetchOptions extends RequestInit {
+  /** Body to send as JSON */
+  json?: unknown;
+  /** Overrides config.fetchTimeout */
+  timeout?: number;
+}
+
+/** Thrown by fetchJSON() and the get/post/... helpers on non-2xx responses */
+export interface AuthRequestError extends Error {
+  status: number;
+  data: unknown;
+}
+
+export class InmapperAuth {
+  constructor(config?: InmapperAuthConfig);
+
+  readonly config: Required<InmapperAuthConfig>;
+
+  static storage: {
+    local(): StorageAdapter;
+    session(): StorageAdapter;
+    memory(): StorageAdapter;
+    cookie(options?: CookieOptions): StorageAdapter;
+  };
+  static resolveStorage(storage?: StorageOption, cookieOptions?: CookieOptions): StorageAdapter;
+
+  init(): Promise<this>;
+  protect(options?: ProtectOptions & { renderDeniedScreen?: true }): Promise<InmapperUser | null>;
+  /** Leaves the denied UI to the caller; accessDenied and onAccessDenied still fire */
+  protect(options: ProtectOptions & { renderDeniedScreen: false }): Promise<ProtectResult>;
+  isAuthenticated(): Promise<boolean>;
+  getUser(forceRefresh?: boolean): Promise<InmapperUser | null>;
+  getUser(forceRefresh: boolean, resourceId: string): Promise<PermissionResult | null>;
+  getToken(): string | null;
+  setToken(token: string | null): void;
+  /** Adopt a session issued directly by the API; null clears it */
+  setSession(data: CodeExchangeResult | null): void;
+  getTokenExpiry(): number | null;
+  isTokenExpired(): boolean;
+  isOffline(): boolean;
+  refreshToken(): Promise<string | null>;
+  destroy(): void;
+
+  on<E extends InmapperAuthEvent>(event: E, handler: (detail: InmapperAuthEvents[E]) => void): () => void;
+  off<E extends InmapperAuthEvent>(event: E, handler?: (detail: InmapperAuthEvents[E]) => void): void;
+  onChange(listener: (detail: ChangeDetail) => void): () => void;
+
+  login(callbackUrl?: string | null): void;
+  loginWithPopup(options?: PopupLoginOptions): Promise<InmapperUser | null>;
+  checkSession(options?: { timeout?: number }): Promise<InmapperUser | null>;
+  logout(redirect?: boolean): Promise<void>;
+  redirectTo(url: string): Promise<void>;
+  hasPermission(resourceId: string): Promise<boolean>;
+  getPermissions(resourceIds: string[]): Promise<Record<string, boolean> | null>;
+  getAccessibleResources(): Promise<Record<string, InmapperResource> | null>;
+  invalidatePermissions(): void;
+  requestAccess(resourceId?: string | null): Promise<boolean>;
+
+  fetch(url: string, options?: AuthFetchOptions): Promise<Response>;
+  /** Token for an outgoing request, after any refresh in flight */
+  getAccessToken(): Promise<string | null>;
+  /** true when the request should be retried with the new token, otherwise login is triggered */
+  handleUnauthorized(sentToken: string | null, retried?: boolean): Promise<boolean>;
+  fetchJSON<T = unknown>(url: string, options?: AuthFetchOptions): Promise<T>;
+  get<T = unknown>(url: string, options?: AuthFetchOptions): Promise<T>;
+  post<T = unknown>(url: string, body?: unknown, options?: AuthFetchOptions): Promise<T>;
+  put<T = unknown>(url: string, body?: unknown, options?: AuthFetchOptions): Promise<T>;
+  patch<T = unknown>(url: string, body?: unknown, options?: AuthFetchOptions): Promise<T>;
+  delete<T = unknown>(url: string, options?: AuthFetchOptions): Promise<T>;
+}
+
+export interface CodeExchangeResult {
+  token: string;
+  user?: InmapperUser;
+  refreshToken?: string;
+  expiresAt?: string | number;
+  expiresIn?: number;
+}
+
+export const storageAdapters: typeof InmapperAuth.storage;
+export function resolveStorage(storage?: StorageOption, cookieOptions?: CookieOptions): StorageAdapter;
+export function createLoginState(stateKey?: string): string;
+export function takeCallbackCode(
+  stateKey?: string,
+  acceptUnsolicited?: boolean
+): { code: string } | { error: Error } | null;
+export function exchangeCallbackCode(
+  config: Pick<InmapperAuthConfig, 'apiUrl' | 'tokenEndpoint'>,
+  code: string,
+  /** Page the code was issued for; defaults to the current page, sent as codeCallbackUrl() */
+  callbackUrl?: string
+): Promise<CodeExchangeResult>;
+/** origin + path of a callback (no query or hash), the form a code is bound to */
+export function codeCallbackUrl(url?: string | URL): string;
+
+/** Minimal shape of an axios instance, to avoid depending on axios' types */
+export interface AxiosLike {
+  (config: any): Promise<any>;
+  interceptors: {
+    request: { use(onFulfilled?: (config: any) => any, onRejected?: (error: any) => any): number; eject(id: number): void };
+    response: { use(onFulfilled?: ((response: any) => any) | null, onRejected?: (error: any) => any): number; eject(id: number): void };
+  };
+}
+
+export interface KyHooks {
+  beforeRequest: Array<(request: Request) => Promise<void>>;
+  afterResponse: Array<(request: Request, options: unknown, response: Response) => Promise<Response>>;
+}
+
+/** Returns a function that removes the interceptors */
+export function createAxiosInterceptors(auth: InmapperAuth, instance: AxiosLike): () => void;
+/** `ky` is the default ky export, used to send the retry */
+export function createKyHooks(auth: InmapperAuth, ky: (input: Request, options?: object) => Promise<Response>): KyHooks;
+
+export interface ServiceWorkerOptions {
+  /** URL prefixes (relative to the page) or RegExps matched against full URLs */
+  patterns?: Array<string | RegExp>;
+  /** Other origins RegExp patterns may match; by default only the site's own */
+  origins?: string[];
+  /** Worker to register; omit when the site registers its own */
+  scriptUrl?: string | null;
+  registerOptions?: RegistrationOptions;
+}
+
+/** Resolves to a function that stops updating the worker */
+export function connectServiceWorker(auth: InmapperAuth, options?: ServiceWorkerOptions): Promise<() => void>;
+
+export const ACCESS_DENIED_MESSAGES: Record<'tr' | 'en', AccessDeniedMessages>;
+export function renderAccessDenied(container: Element, options?: RenderAccessDeniedOptions): HTMLElement;
+/** Supported locale for a language tag, English for unknown languages */
+export function resolveLocale(locale?: string | null): 'tr' | 'en';
+
+export const EVENTS: InmapperAuthEvent[];
+export const POPUP_MESSAGE_TYPE: 'inmapper-auth:popup-result';
+export const SILENT_READY_TYPE: 'inmapper-auth:silent-ready';
+export const SILENT_REQUEST_TYPE: 'inmapper-auth:silent-request';
+export const SILENT_RESULT_TYPE: 'inmapper-auth:silent-result';
+export const SW_STATE_TYPE: 'inmapper-auth:sw-state';
+export const SW_STATE_REQUEST_TYPE: 'inmapper-auth:sw-state-request';
+
+export function getAuth(config?: InmapperAuthConfig): InmapperAuth;
+
+export default InmapperAuth;
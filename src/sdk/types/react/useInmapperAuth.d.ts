@@ -0,0 +1,61 @@
+// Type declarations for react/useInmapperAuth.js
+
+import type { ReactNode, ReactElement } from 'react';
+import type {
+  InmapperAuth,
+  InmapperAuthConfig,
+  InmapperUser,
+  ChangeDetail,
+  PopupLoginOptions,
+  AuthFetchOptions,
+} from '../inmapper-auth.esm';
+
+export interface InmapperAuthProviderProps {
+  children?: ReactNode;
+  /** Read once on mount */
+  config?: InmapperAuthConfig;
+  /** Redirect to login when there is no valid session */
+  protect?: boolean;
+  /** Resource to check on load; defaults to config.resourceId */
+  resourceId?: string | null;
+  /** User read on the server, rendered before the client check finishes */
+  initialUser?: InmapperUser | null;
+  onChange?: ((detail: ChangeDetail) => void) | null;
+}
+
+export interface InmapperAuthContextValue {
+  auth: InmapperAuth;
+  user: InmapperUser | null;
+  token: string | null;
+  loading: boolean;
+  isAuthenticated: boolean;
+  resourceId: string | null;
+  /** null when the provider has no resourceId, or while offline with no known answer */
+  hasResourceAccess: boolean | null;
+  login(callbackUrl?: string | null): void;
+  loginWithPopup(options?: PopupLoginOptions): Promise<InmapperUser | null>;
+  logout(redirect?: boolean): Promise<void>;
+  setToken(token: string | null): void;
+  fetch(url: string, options?: AuthFetchOptions): Promise<Response>;
+}
+
+export interface PermissionState {
+  loading: boolean;
+  allowed: boolean;
+  denied: boolean;
+}
+
+export interface RequirePermissionProps {
+  resourceId: string;
+  children?: ReactNode;
+  /** Rendered when access is denied */
+  fallback?: ReactNode;
+  /** Rendered while the check is running */
+  loadingFallback?: ReactNode;
+}
+
+export function InmapperAuthProvider(props: InmapperAuthProviderProps): ReactElement;
+export function useInmapperAuth(): InmapperAuthContextValue;
+export function usePermission(resourceId: string): PermissionState;
+export function RequirePermission(props: RequirePermissionProps): ReactNode;
+export default useInmapperAuth;
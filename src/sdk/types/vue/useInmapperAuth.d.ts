@@ -0,0 +1,69 @@
+// Type declarations for vue/useInmapperAuth.js
+
+import type { App, ComputedRef, Ref } from 'vue';
+import type { Router, NavigationGuardWithThis, RouteLocationRaw } from 'vue-router';
+import type {
+  InmapperAuth,
+  InmapperAuthConfig,
+  InmapperUser,
+  ChangeDetail,
+  PopupLoginOptions,
+  AuthFetchOptions,
+} from '../inmapper-auth.esm';
+
+export interface InmapperAuthPluginOptions {
+  config?: InmapperAuthConfig;
+  onChange?: ((detail: ChangeDetail) => void) | null;
+}
+
+export interface InmapperAuthState {
+  auth: InmapperAuth;
+  user: Readonly<Ref<InmapperUser | null>>;
+  token: Readonly<Ref<string | null>>;
+  loading: Readonly<Ref<boolean>>;
+  isAuthenticated: ComputedRef<boolean>;
+  login(callbackUrl?: string | null): void;
+  loginWithPopup(options?: PopupLoginOptions): Promise<InmapperUser | null>;
+  logout(redirect?: boolean): Promise<void>;
+  setToken(token: string | null): void;
+  fetch(url: string, options?: AuthFetchOptions): Promise<Response>;
+}
+
+export interface InmapperGuardOptions {
+  /** Route to send users without access to instead of the access-denied screen */
+  accessDeniedRoute?: RouteLocationRaw | null;
+}
+
+export interface InmapperAuthPlugin {
+  auth: InmapperAuth;
+  state: InmapperAuthState;
+  /** Resolves with the user once the first check has finished */
+  ready(): Promise<InmapperUser | null>;
+  /** Guard for routes with meta.requiresAuth or meta.resourceId */
+  createGuard(router: Router, options?: InmapperGuardOptions): NavigationGuardWithThis<undefined>;
+  install(app: App): void;
+}
+
+export interface PermissionState {
+  loading: Readonly<Ref<boolean>>;
+  allowed: Readonly<Ref<boolean>>;
+  denied: ComputedRef<boolean>;
+}
+
+export function createInmapperAuth(options?: InmapperAuthPluginOptions): InmapperAuthPlugin;
+export function useInmapperAuth(): InmapperAuthState;
+export function usePermission(resourceId: string | Ref<string> | (() => string)): PermissionState;
+export default useInmapperAuth;
+
+declare module 'vue-router' {
+  interface RouteMeta {
+    requiresAuth?: boolean;
+    resourceId?: string;
+  }
+}
+
+declare module 'vue' {
+  interface ComponentCustomProperties {
+    $inmapper: InmapperAuthState;
+  }
+}
@@ -0,0 +1,24 @@
+/**
+ * Inmapper Auth SDK
+ * Universal authentication library for web applications
+ * 
+ * Usage (Vanilla JS):
+ *   <script src="https://inmapper-otp.netlify.app/sdk/inmapper-auth.js"></script>
+ *   <script>
+ *     const auth = new InmapperAuth();
+ *     auth.protect().then(user => console.log('Welcome', user.name));
+ *   </script>
+ * 
+ * Usage (ES Module):
+ *   import { InmapperAuth } from 'https://inmapper-otp.netlify.app/sdk/inmapper-auth.esm.js';
+ *   const auth = new InmapperAuth();
+ *   const user = await auth.protect();
+ */
+
+import { InmapperAuth } from './InmapperAuth.js';
+
+// The script tag exposes the class as window.InmapperAuth; CommonJS and AMD
+// consumers have always read it from the InmapperAuth property instead
+InmapperAuth.InmapperAuth = InmapperAuth;
+
+export default InmapperAuth;
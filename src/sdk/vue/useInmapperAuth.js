@@ -0,0 +1,178 @@
+/**
+ * Inmapper Auth - Vue 3 Plugin
+ *
+ * Usage:
+ *   import { createInmapperAuth, useInmapperAuth } from 'https://inmapper-otp.netlify.app/sdk/vue/useInmapperAuth.js';
+ *
+ *   // In main.js
+ *   const inmapper = createInmapperAuth({ config: { resourceId: 'harita-editoru' } });
+ *   app.use(inmapper);
+ *   router.beforeEach(inmapper.createGuard(router));
+ *
+ *   // Routes opt in with meta
+ *   { path: '/reports', component: Reports, meta: { requiresAuth: true } }
+ *   { path: '/editor', component: Editor, meta: { resourceId: 'harita-editoru' } }
+ *
+ *   // In any component (setup)
+ *   const { user, loading, isAuthenticated, login, logout } = useInmapperAuth();
+ */
+
+import { ref, readonly, computed, inject, watch, isRef } from 'vue';
+import { InmapperAuth } from '../index.js';
+
+const AUTH_KEY = Symbol('inmapper-auth');
+
+/**
+ * Create the plugin; install it with app.use()
+ * @param {Object} options
+ * @param {Object} options.config - InmapperAuth config
+ * @param {Function} options.onChange - Called on every session change
+ * @returns {Object} Plugin with auth, state, ready() and createGuard()
+ */
+export function createInmapperAuth(options = {}) {
+  const { config = {}, onChange = null } = options;
+  const auth = new InmapperAuth(config);
+  const user = ref(null);
+  const token = ref(null);
+  const loading = ref(true);
+
+  // The SDK handles validation, refresh and tab sync; mirror its state here
+  auth.onChange((change) => {
+    token.value = change.token;
+    user.value = change.user;
+    if (onChange) {
+      onChange(change);
+    }
+  });
+
+  let readyPromise = null;
+
+  // First check runs once, whether the app or the router guard asks first
+  function ready() {
+    if (!readyPromise) {
+      readyPromise = auth.getUser().then((currentUser) => {
+        token.value = auth.getToken();
+        user.value = currentUser;
+        loading.value = false;
+        return currentUser;
+      });
+    }
+    return readyPromise;
+  }
+
+  const state = {
+    auth,
+    user: readonly(user),
+    token: readonly(token),
+    loading: readonly(loading),
+    isAuthenticated: computed(() => !!user.value),
+    login: (callbackUrl = null) => auth.login(callbackUrl),
+    loginWithPopup: (popupOptions) => auth.loginWithPopup(popupOptions),
+    logout: (redirect = false) => auth.logout(redirect),
+    setToken: (newToken) => auth.setToken(newToken),
+    fetch: (url, fetchOptions) => auth.fetch(url, fetchOptions),
+  };
+
+  /**
+   * Router beforeEach guard for routes with meta.requiresAuth or meta.resourceId
+   * Signed-out visitors are handled like protect() (onAuthRequired, autoRedirect)
+   * and login brings them back to the route they asked for.
+   * Without access to meta.resourceId the SDK's access-denied screen is shown,
+   * like the React provider in protect mode.
+   * @param {Object} router - Vue Router instance, used to build the callback URL
+   * @param {Object} guardOptions
+   * @param {string|Object} guardOptions.accessDeniedRoute - Route to send denied users to instead
+   * @returns {Function}
+   */
+  function createGuard(router, guardOptions = {}) {
+    const { accessDeniedRoute = null } = guardOptions;
+
+    return async (to) => {
+      const resourceId = to.meta.resourceId || null;
+      if (!resourceId && !to.meta.requiresAuth) return true;
+
+      await ready();
+      // Same path as protect(): onAuthRequired / autoRedirect decide whether login opens
+      const callbackUrl = new URL(router.resolve(to).href, window.location.href).href;
+
+      if (!accessDeniedRoute) {
+        return !!(await auth.protect({ resourceId, callbackUrl }));
+      }
+
+      const { user, allowed } = await auth.protect({ resourceId, callbackUrl, renderDeniedScreen: false });
+      if (user && allowed === false) return accessDeniedRoute;
+      // Signed out, or offline with no known answer: stay on the current route
+      return allowed === true;
+    };
+  }
+
+  return {
+    auth,
+    state,
+    ready,
+    createGuard,
+    install(app) {
+      app.provide(AUTH_KEY, state);
+      app.config.globalProperties.$inmapper = state;
+      ready();
+    },
+  };
+}
+
+export function useInmapperAuth() {
+  const state = inject(AUTH_KEY, null);
+  if (!state) {
+    throw new Error('useInmapperAuth must be used after app.use(createInmapperAuth())');
+  }
+  return state;
+}
+
+/**
+ * Check access to a resource for the signed-in user
+ * Re-checks when the user or the resource changes.
+ * @param {string|Ref<string>|Function} resourceId
+ * @returns {{ loading: Ref<boolean>, allowed: Ref<boolean>, denied: Ref<boolean> }}
+ */
+export function usePermission(resourceId) {
+  const { auth, user, loading: authLoading } = useInmapperAuth();
+  const loading = ref(true);
+  const allowed = ref(false);
+  const getResourceId = () => (typeof resourceId === 'function'
+    ? resourceId()
+    : isRef(resourceId) ? resourceId.value : resourceId);
+
+  watch(
+    () => [getResourceId(), authLoading.value, user.value ? user.value.id || user.value.email : null],
+    async ([id, pending, userKey], previous, onCleanup) => {
+      let active = true;
+      onCleanup(() => {
+        active = false;
+      });
+
+      if (pending) {
+        loading.value = true;
+        return;
+      }
+      if (!userKey || !id) {
+        allowed.value = false;
+        loading.value = false;
+        return;
+      }
+
+      loading.value = true;
+      const result = await auth.hasPermission(id);
+      if (!active) return;
+      allowed.value = result;
+      loading.value = false;
+    },
+    { immediate: true },
+  );
+
+  return {
+    loading: readonly(loading),
+    allowed: readonly(allowed),
+    denied: computed(() => !loading.value && !allowed.value),
+  };
+}
+
+export default useInmapperAuth;
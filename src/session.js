@@ -0,0 +1,71 @@
+// The login app's session. Kept by the SDK under its own storage keys, so
+// sites using the SDK on this origin see the same sign-in, and pages never
+// touch storage directly.
+
+import { InmapperAuth } from './sdk/index.js'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api'
+
+// Keys the app used before it ran on the SDK
+const LEGACY_TOKEN_KEY = 'auth_token'
+const LEGACY_USER_KEY = 'auth_user'
+
+export const session = new InmapperAuth({
+  apiUrl: API_URL,
+  baseUrl: API_URL,
+  loginUrl: `${window.location.origin}/login`,
+  // Pages send signed-out users to /login themselves
+  autoRedirect: false,
+  onAuthRequired: () => {},
+})
+
+let readyPromise = null
+
+// Carry over a session stored under the old keys instead of signing the user out
+function migrateLegacySession() {
+  try {
+    const token = localStorage.getItem(LEGACY_TOKEN_KEY)
+    localStorage.removeItem(LEGACY_TOKEN_KEY)
+    localStorage.removeItem(LEGACY_USER_KEY)
+
+    if (token && !session.getToken()) {
+      // Validated by the next getUser() call
+      session.setToken(token)
+    }
+  } catch (error) {
+    console.error('Session migration error:', error)
+  }
+}
+
+export function initSession() {
+  if (!readyPromise) {
+    readyPromise = session.init().then(migrateLegacySession)
+  }
+  return readyPromise
+}
+
+/**
+ * Current user, or null when signed out or the token was rejected
+ * @param {boolean} validate - Ask the server instead of using the stored user
+ */
+export async function getUser(validate = false) {
+  await initSession()
+  return session.getUser(validate)
+}
+
+export async function getToken() {
+  await initSession()
+  return session.getAccessToken()
+}
+
+// Store the session returned by /auth/verify
+export function startSession(data) {
+  session.setSession(data)
+}
+
+export async function logout() {
+  await initSession()
+  await session.logout()
+}
+
+export default session